@@ -0,0 +1,191 @@
+/**
+ * Persistent cache of the comments within source files. Parsing the complete syntax tree of a large source file only to
+ * read a few comment blocks is costly. As such, the comments of every source file are kept on disk along with the time
+ * of modification, size and hash of its content. On the next run, the comments of an unchanged file are used from the
+ * cache and the file is not parsed at all. A file is unchanged when its time of modification and size remain the same
+ * or else when the hash of its content remains the same (as is when a fresh clone of a repository touches all files.)
+ *
+ * @module cache
+ * @requires lib
+ * @requires source
+ */
+
+var DEFAULT_CACHE_FOLDER = ".jslink-cache/",
+    CACHE_FILENAME = "sources.json",
+    CACHE_FORMAT = 1, // needs to change whenever the structure of what is cached changes.
+    HASH_ALGORITHM = "sha1",
+
+    fs = require("fs"),
+    pathUtil = require("path"),
+    crypto = require("crypto"),
+    lib = require("./lib.js"),
+    Source = require("./source.js"),
+    SourceCache; // constructor
+
+/**
+ * Represents the cache of source files within a folder. A missing or unreadable cache is treated as an empty one.
+ *
+ * @class
+ * @param {string=} [folder=.jslink-cache/] - The folder to keep the cache within. It is created when the cache is
+ * saved.
+ * @param {object=} [parsing] - The `validateSyntax`, `lintGlobals`, `ecmaVersion`, `sourceType` and `esModules` to
+ * parse changed sources with. Sources that were not parsed with the same settings when cached are parsed again when
+ * syntax is to be validated or globals are to be linted. ES modules are parsed every time since their imports are not
+ * cached.
+ *
+ * @example
+ * var cache = new SourceCache(".jslink-cache/"),
+ *     source = cache.source("src/main.js"); // parsed only if changed since the last run.
+ * cache.save();
+ */
+SourceCache = function (folder, parsing) {
+    var cached;
+
+    /**
+     * @type {string}
+     */
+    this.folder = pathUtil.resolve(typeof folder === "string" && folder || DEFAULT_CACHE_FOLDER);
+
+    /**
+     * @type {string}
+     */
+    this.path = pathUtil.join(this.folder, CACHE_FILENAME);
+
+    /**
+     * The cached comments and the attributes of the source file they belong to, keyed by path of the file.
+     * @type {object}
+     */
+    this.entries = {};
+
+    /**
+     * Number of sources that were served from the cache and that had to be parsed.
+     * @type {number}
+     */
+    this.hits = this.misses = 0;
+
+    /**
+     * @type {object}
+     */
+    this.parsing = parsing || {};
+
+    /**
+     * Identifies the settings with which sources are parsed completely (to validate syntax or lint globals), if at all.
+     * @type {string|boolean}
+     */
+    this.validation = (this.parsing.validateSyntax || this.parsing.lintGlobals) ?
+        JSON.stringify([this.parsing.ecmaVersion, this.parsing.sourceType, Boolean(this.parsing.lintGlobals)]) : false;
+
+    this.changed = false;
+
+    try {
+        cached = JSON.parse(fs.readFileSync(this.path).toString());
+        (cached && cached.format === CACHE_FORMAT) && (this.entries = cached.sources || {});
+    }
+    catch (error) { } // a missing or broken cache is no cache at all.
+};
+
+lib.copy(SourceCache.prototype, /** @lends module:cache~SourceCache.prototype */ {
+    /**
+     * Creates the source of a file using the comments from the cache when the file is unchanged. Otherwise, the file is
+     * parsed and its comments are cached.
+     *
+     * @param {string} path
+     * @param {fs.Stats=} [stat] - Attributes of the file, in case they are already known.
+     * @returns {module:source~Source}
+     */
+    source: function (path, stat) {
+        var entry = this.entries[path],
+            content = fs.readFileSync(path),
+            hash,
+            source;
+
+        stat = stat || fs.statSync(path);
+
+        // Comments that were only scanned can neither vouch for the syntax of the source nor tell its globals.
+        (this.validation && entry && entry.validated !== this.validation) && (entry = undefined);
+
+        if (entry && entry.mtime === stat.mtime.getTime() && entry.size === stat.size) {
+            this.hits++;
+            return new Source(path, content, lib.fill({
+                comments: entry.comments,
+                cachedGlobals: entry.globals
+            }, this.parsing));
+        }
+
+        hash = crypto.createHash(HASH_ALGORITHM).update(content).digest("hex");
+
+        if (entry && entry.hash === hash) {
+            entry.mtime = stat.mtime.getTime();
+            entry.size = stat.size;
+            this.changed = true;
+            this.hits++;
+            return new Source(path, content, lib.fill({
+                comments: entry.comments,
+                cachedGlobals: entry.globals
+            }, this.parsing));
+        }
+
+        // Let parse errors bubble without caching anything.
+        source = new Source(path, content, this.parsing);
+        this.entries[path] = {
+            mtime: stat.mtime.getTime(),
+            size: stat.size,
+            hash: hash,
+            validated: this.validation,
+            globals: source.globals,
+            // Only the parts of comments that are needed to parse directives and strip comments are kept.
+            comments: source.ast.comments.map(function (comment) {
+                return {
+                    type: comment.type,
+                    value: comment.value,
+                    range: comment.range,
+                    loc: {
+                        start: {
+                            line: comment.loc.start.line
+                        }
+                    }
+                };
+            })
+        };
+        this.changed = true;
+        this.misses++;
+
+        return source;
+    },
+
+    /**
+     * Writes the cache to disk, if anything changed, after dropping the files that no longer exist.
+     */
+    save: function () {
+        var dirlist = [],
+            path,
+            dir;
+
+        for (path in this.entries) {
+            if (!fs.existsSync(path)) {
+                delete this.entries[path];
+                this.changed = true;
+            }
+        }
+
+        if (!this.changed) {
+            return;
+        }
+
+        // The folder of cache is usually hidden, which rules out using `lib.writeableFolder` to create it.
+        for (dir = this.folder; !fs.existsSync(dir); dir = pathUtil.dirname(dir)) {
+            dirlist.push(dir);
+        }
+        while ((dir = dirlist.pop())) {
+            fs.mkdirSync(dir); // let any error bubble.
+        }
+
+        fs.writeFileSync(this.path, JSON.stringify({
+            format: CACHE_FORMAT,
+            sources: this.entries
+        }));
+        this.changed = false;
+    }
+});
+
+module.exports = SourceCache;
\ No newline at end of file
@@ -6,31 +6,51 @@
  * @requires lib
  */
 var lib = require("./lib.js"),
+    semver = require("semver"),
     ModuleCollection,
     collectionTopoSort,
-    collectionAdjacencyIndex;
+    collectionCycles,
+    collectionAdjacencyIndex,
+    collectionClosure,
+    collectionPaths;
 
 /**
  * This function recursively traverses through modules (vertices of a DAG) and pushes them to a stack in a neatly sorted
- * order based on its dependency trace.
+ * order based on its dependency trace. Modules that this module is to follow (using `@after`) are sorted before it as
+ * well, provided they are connected to it. Cycles are not allowed in the graph and a cycle is noted (as the list of
+ * modules that form it) whenever the traversal reaches a module that is on its trail.
  *
  * @private
  * @param {module:collection~ModuleCollection.Module} module
  * @param {Array<module:collection~ModuleCollection.Module>} sortStack
+ * @param {Array<module:collection~ModuleCollection.Module>} trail - The modules being traversed to reach this one.
+ * @param {Array<Array>} cycles
+ * @param {module:collection~ModuleCollection} collection - Used to look up the modules to follow.
  */
-collectionTopoSort = function (module, sortStack) {
-    var item;
+collectionTopoSort = function (module, sortStack, trail, cycles, collection) {
+    var item,
+        follow;
 
     if (module.topologicalMarker) {
-        delete module.topologicalMarker;
-        throw "Cyclic dependency error discovered while parsing: " + module.name;
+        // The module is already in the trail and that closes a cycle from it back to itself.
+        cycles.push(trail.slice(trail.indexOf(module)).concat(module));
+        return;
     }
 
     if (!module.sorting) {
         module.topologicalMarker = true;
+        trail.push(module);
         for (item in module.requires) {
-            collectionTopoSort(module.requires[item], sortStack); // recurse
+            collectionTopoSort(module.requires[item], sortStack, trail, cycles, collection); // recurse
+        }
+        // Ordering hints never pull in modules that are not otherwise connected to this one.
+        for (item in module.follows) {
+            follow = collection.get(item);
+            if (follow && follow.index === module.index && follow !== module) {
+                collectionTopoSort(follow, sortStack, trail, cycles, collection);
+            }
         }
+        trail.pop();
         delete module.topologicalMarker;
         module.sorting = true;
         // Push into the right index
@@ -38,6 +58,80 @@ collectionTopoSort = function (module, sortStack) {
     }
 };
 
+/**
+ * This function finds every elementary cycle among the modules once sorting has found that there is a cycle at all.
+ * Each cycle is walked from the module of the cycle that comes first in the collection, through only the modules that
+ * come after it and lead back to it. As such, every cycle is found exactly once and every walk ends in a cycle.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection - Its modules need to be indexed.
+ * @returns {Array<Array<module:collection~ModuleCollection.Module>>} Each cycle ends with the module it starts with.
+ */
+collectionCycles = function (collection) {
+    var names = Object.keys(collection.modules),
+        order = {},
+        next = {}, // modules that every module leads to, either by requirement or by an ordering hint.
+        previous = {},
+        cycles = [],
+        walk; // function
+
+    names.forEach(function (name, position) {
+        var module = collection.modules[name],
+            follow,
+            item;
+
+        order[name] = position;
+        previous[name] = [];
+        next[name] = Object.keys(module.requires).map(function (item) {
+            return module.requires[item];
+        });
+        // Ordering hints are edges only between connected modules, as they are while sorting.
+        for (item in module.follows) {
+            follow = collection.get(item);
+            (follow && follow.index === module.index && follow !== module) && next[name].push(follow);
+        }
+    });
+    names.forEach(function (name) {
+        next[name].forEach(function (module) {
+            previous[module.name].push(collection.modules[name]);
+        });
+    });
+
+    walk = function (module, start, reaching, trail) {
+        trail.push(module);
+        next[module.name].forEach(function (item) {
+            if (item === start) {
+                cycles.push(trail.concat(start));
+            }
+            else if (reaching[item.name] && trail.indexOf(item) === -1) {
+                walk(item, start, reaching, trail);
+            }
+        });
+        trail.pop();
+    };
+
+    names.forEach(function (name, position) {
+        var start = collection.modules[name],
+            reaching = {},
+            gather; // function
+
+        // Gather the modules after this one that lead back to it without passing through any module before it.
+        gather = function (module) {
+            previous[module.name].forEach(function (item) {
+                if (order[item.name] > position && !reaching[item.name]) {
+                    reaching[item.name] = true;
+                    gather(item);
+                }
+            });
+        };
+
+        gather(start);
+        walk(start, start, reaching, []);
+    });
+
+    return cycles;
+};
+
 /**
  * This function recursively traverses through the modules and assigns them an index based on the level of bidirectional
  * connectivity.
@@ -45,23 +139,86 @@ collectionTopoSort = function (module, sortStack) {
  * @private
  * @param {module:collection~ModuleCollection.Module} module
  * @param {number} index
+ * @param {Object<boolean>} optional - Names of the undefined modules that are only ever required optionally.
  */
-collectionAdjacencyIndex = function (module, index) {
+collectionAdjacencyIndex = function (module, index, optional) {
     var item;
 
     if (!module.indexing) {
         module.index = index;
         module.indexing = true;
 
+        // Modules that are optionally required but not defined have no source to be exported and as such they do not
+        // connect the groups of modules that require them (such as plugins that optionally require the same module.)
+        if (optional[module.name]) {
+            return;
+        }
+
         for (item in module.requires) {
-            collectionAdjacencyIndex(module.requires[item], index);
+            collectionAdjacencyIndex(module.requires[item], index, optional);
         }
         for (item in module.dependants) {
-            collectionAdjacencyIndex(module.dependants[item], index);
+            collectionAdjacencyIndex(module.dependants[item], index, optional);
         }
     }
 };
 
+/**
+ * This function recursively traverses through the modules along one direction of dependency and gathers every module
+ * it reaches.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection.Module} module
+ * @param {string} direction - Either `requires` or `dependants`
+ * @param {Object<module:collection~ModuleCollection.Module>} closure
+ */
+collectionClosure = function (module, direction, closure) {
+    var item;
+
+    if (!closure[module]) {
+        closure[module] = module;
+
+        for (item in module[direction]) {
+            collectionClosure(module[direction][item], direction, closure);
+        }
+    }
+};
+
+/**
+ * This function recursively walks the requirements of a module and records every path that reaches the target module.
+ * Only modules within the `reach` of the target are walked and no module is visited twice within the same path. The
+ * walk stops as soon as the limit of paths is recorded.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection.Module} module
+ * @param {module:collection~ModuleCollection.Module} target
+ * @param {Object<module:collection~ModuleCollection.Module>} reach - All modules that (transitively) require target.
+ * @param {Array<string>} trail - Names of modules in the path walked so far.
+ * @param {Array<Array<string>>} paths
+ * @param {number=} [limit]
+ */
+collectionPaths = function (module, target, reach, trail, paths, limit) {
+    var item;
+
+    if (paths.length === limit) {
+        return;
+    }
+    trail.push(module.name);
+
+    if (module === target) {
+        paths.push(trail.slice());
+    }
+    else {
+        for (item in module.requires) {
+            if (reach[item] && trail.indexOf(item) === -1) {
+                collectionPaths(module.requires[item], target, reach, trail, paths, limit);
+            }
+        }
+    }
+
+    trail.pop();
+};
+
 /**
  * Represents a collection of modules that have ability to depend on each other. The class maintains the dependency
  * link between modules and also the file source list that defines these modules. An equivalent representation of this
@@ -89,6 +246,13 @@ ModuleCollection = function () {
      */
     this.sources = {};
 
+    /**
+     * Stores the modules that provide alternate names (aliases) to be used in place of their own name. Usually, one
+     * does not need to access this directly since {@link module:collection~ModuleCollection#get} resolves aliases.
+     * @type {Object<module:collection~ModuleCollection.Module>}
+     */
+    this.aliases = {};
+
     /**
      * Stores all connections. In the context of digraph, this is the set of all directed edges.
      * @type {Array<module:collection~ModuleCollection.Dependency>}
@@ -104,14 +268,15 @@ ModuleCollection = function () {
 
 lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollection.prototype */ {
     /**
-     * Get a new module from collection and if it does not exist, create one.
+     * Get a new module from collection and if it does not exist, create one. Aliases are resolved to the module that
+     * provides them.
      *
      * @param {string} name -
      * @param {boolean=} [anyway] -
      * @returns {module:collection~ModuleCollection.Module}
      */
     get: function (name, anyway) {
-        return this.modules[(name = lib.stringLike(name))] || anyway &&
+        return this.modules[(name = lib.stringLike(name))] || this.aliases[name] || anyway &&
             (++this.numberOfModules, this.modules[name] = new ModuleCollection.Module(name));
     },
 
@@ -130,11 +295,119 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
      *
      * @param {string} name
      * @param {string} source
+     * @param {string=} [version] - The semantic version of the module being defined.
      * @returns {module:collection~ModuleCollection.Module}
+     *
+     * @throws {Error} If the name is already provided as an alias by another module.
      */
-    add: function (name, source) {
-        return ((this.sources[(this._recentModule = this.get(name, true).define(source)).source] ||
-            (this.sources[this._recentModule] = {}))[this._recentModule.source] = this._recentModule);
+    add: function (name, source, version) {
+        var alias = this.aliases[lib.stringLike(name)];
+
+        if (alias) {
+            throw new Error(lib.format("Definition of {0} at: {1} conflicts with the alias provided by {2} at: {3}",
+                name, source, alias, alias.source));
+        }
+
+        return ((this.sources[(this._recentModule = this.get(name, true).define(source, version)).source] ||
+            (this.sources[this._recentModule.source] = {}))[this._recentModule.name] = this._recentModule);
+    },
+
+    /**
+     * Marks a module as providing an alternate name (alias) so that modules requiring the alias are connected to it.
+     * Modules that already required the alias before it was provided are connected to the providing module instead.
+     *
+     * @param {string} module
+     * @param {string} alias
+     * @returns {module:collection~ModuleCollection.Module} The module providing the alias.
+     *
+     * @throws {Error} If the alias is defined as a module or is provided by another module.
+     */
+    provide: function (module, alias) {
+        var placeholder,
+            dependency,
+            i;
+
+        module = this.get(module);
+        alias = lib.stringLike(alias);
+
+        if (this.aliases[alias] && this.aliases[alias] !== module) {
+            throw new Error(lib.format("Alias {0} provided by {1} at: {2} is already provided by {3} at: {4}", alias,
+                module, module.source, this.aliases[alias], this.aliases[alias].source));
+        }
+
+        if ((placeholder = this.modules[alias])) {
+            if (placeholder === module || placeholder.defined()) {
+                throw new Error(lib.format("Alias {0} provided by {1} at: {2} is already defined at: {3}", alias,
+                    module, module.source, placeholder.source));
+            }
+
+            // Connect the modules that required the alias to the providing module, unless they already require it.
+            for (i = this.dependencies.length - 1; i >= 0; i--) {
+                dependency = this.dependencies[i];
+                if (dependency.require === placeholder) {
+                    this.disconnect(dependency.module, placeholder);
+                    this.connect(dependency.module, module, {
+                        source: dependency.source,
+                        line: dependency.line,
+                        range: dependency.range,
+                        alias: alias
+                    });
+                }
+            }
+
+            delete this.modules[alias];
+            this.numberOfModules--;
+        }
+
+        this.aliases[alias] = module;
+        module.provides.indexOf(alias) === -1 && module.provides.push(alias);
+        return module;
+    },
+
+    /**
+     * Removes all modules defined by a source file from the collection. The modules are marked as undefined and all
+     * the requirements they declared are disconnected. Modules that are neither defined nor required by any other
+     * module after this are dropped from the collection. This allows a changed source file to be parsed afresh.
+     *
+     * @param {string} source
+     * @returns {Object<module:collection~ModuleCollection.Module>} The modules that were defined by the source.
+     */
+    remove: function (source) {
+        var modules = this.sources[source],
+            stale = [],
+            module,
+            item,
+            i;
+
+        // Nothing to do if the source never defined any module.
+        if (!modules) {
+            return {};
+        }
+
+        for (module in modules) {
+            module = modules[module];
+            // The aliases are part of the definition and are to be provided afresh.
+            for (i = 0; i < module.provides.length; i++) {
+                delete this.aliases[module.provides[i]];
+            }
+            for (item in module.requires) {
+                stale.push(module.requires[item]);
+                this.disconnect(module, item);
+            }
+            stale.push(module.undefine());
+        }
+        delete this.sources[source];
+
+        // External file modules are not tracked as sources and as such they too go stale once nobody requires them.
+        stale.forEach(function (module) {
+            if (!module.numberOfDependants && (!module.defined() || !this.sources[module.source]) &&
+                    (this.modules[module.name] === module)) {
+                delete this.modules[module.name];
+                this.numberOfModules--;
+            }
+        }, this);
+
+        return modules;
     },
 
     /**
@@ -142,11 +415,50 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
      *
      * @param {string} module -
      * @param {string} dependency -
+     * @param {object=} [meta] - The `source` file and `line` where the dependency was declared, the semantic version
+     * `range` of the dependency that is acceptable and whether the dependency is `optional`.
      * @returns {module:collection~ModuleCollection.Dependency}
+     *
+     * @throws {Error} If the version range is not a valid semantic version range.
      */
-    connect: function (module, dependency) {
-        return (this.dependencies.push((this._recentDependency = new ModuleCollection.Dependency(this.get(module, true),
-            this.get(dependency, true)))), ++this.numberOfDependencies, this._recentDependency);
+    connect: function (module, dependency, meta) {
+        var alias = this.aliases[(dependency = lib.stringLike(dependency))] ? dependency : (meta && meta.alias),
+            existing = this.get(dependency);
+
+        module = this.get(module, true);
+
+        // Requiring a module by its name as well as by its alias is not a duplicate requirement.
+        if (existing && module.requires[existing] && (alias || this.getDependency(module, existing).alias)) {
+            return this.getDependency(module, existing);
+        }
+
+        return (this.dependencies.push((this._recentDependency = new ModuleCollection.Dependency(module,
+            this.get(dependency, true), lib.copy(lib.copy({}, meta), { alias: alias })))), ++this.numberOfDependencies,
+            this._recentDependency);
+    },
+
+    /**
+     * Removes the dependency relation between two modules.
+     *
+     * @param {string} module -
+     * @param {string} dependency -
+     * @returns {module:collection~ModuleCollection.Dependency=}
+     */
+    disconnect: function (module, dependency) {
+        var i = this.dependencies.length,
+            item;
+
+        module = this.get(module);
+        dependency = this.get(dependency);
+
+        while (i--) {
+            item = this.dependencies[i];
+            if (item.module === module && item.require === dependency) {
+                module.unrequire(dependency);
+                this.numberOfDependencies--;
+                return this.dependencies.splice(i, 1)[0];
+            }
+        }
     },
 
     /**
@@ -177,18 +489,72 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
 
         // Clone the sources
         for (item in this.modules) {
-            clone.add(this.modules[item].clone(), this.modules[item].source);
+            clone.add(this.modules[item].clone(), this.modules[item].source, this.modules[item].version);
         }
 
         // filter out and add the vertices that are defined at both ends.
         for (i = 0, ii = this.dependencies.length; i < ii; i++) {
             item = this.dependencies[i];
-            clone.connect(item.module, item.require);
+            clone.connect(item.module, item.require, item);
+        }
+
+        for (item in this.aliases) {
+            clone.provide(this.aliases[item].name, item);
         }
 
         return clone;
     },
 
+    /**
+     * Gets all modules that are required by the given modules, directly or transitively, along with the modules
+     * themselves. When the direction is `dependants`, gets all modules that depend on the given modules instead.
+     *
+     * @param {Array<string>|string} modules
+     * @param {string=} [direction=requires] - Either `requires` or `dependants`
+     * @returns {Object<module:collection~ModuleCollection.Module>}
+     */
+    closure: function (modules, direction) {
+        var closure = {};
+
+        direction = direction || "requires";
+
+        [].concat(modules).forEach(function (name) {
+            var module = this.get(name);
+            module && collectionClosure(module, direction, closure);
+        }, this);
+
+        return closure;
+    },
+
+    /**
+     * Gets every path of requirements through which one module depends on another module. Each path starts with the
+     * dependant module and ends with the required module. The number of paths can grow exponentially with the number
+     * of modules and as such it can be limited.
+     *
+     * @param {string} from
+     * @param {string} to
+     * @param {number=} [limit] - The most paths to get. Every path is listed unless specified.
+     * @returns {Array<Array<string>>}
+     *
+     * @example
+     * collection.connect("main", "helper");
+     * collection.connect("helper", "util");
+     * collection.connect("main", "util");
+     * collection.paths("main", "util"); // [["main", "helper", "util"], ["main", "util"]]
+     */
+    paths: function (from, to, limit) {
+        var paths = [];
+
+        from = this.get(from);
+        to = this.get(to);
+
+        if (from && to) {
+            collectionPaths(from, to, this.closure(to.name, "dependants"), [], paths, limit);
+        }
+
+        return paths;
+    },
+
     /**
      * Serialises the modules using topological sorting mechanism and returns an array of arrays containing all modules
      * in the sorted order.
@@ -196,19 +562,36 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
      */
     serialize: function () {
         var sortStack = [], // array to hold all the sorted modules.
+            cycles = [],
             adjacencyPoint = 0,
             modules = this.modules,
+            required = {}, // modules that are required by any module without being optional.
+            optional = {},
             module;
 
-        // Iterate over all modules, index them and run topological sort. Indexing will always go faster than sorting
-        // since index happens on both ingress and egress edges at the same time, as such 2x the cycle of sorting.
+        this.dependencies.forEach(function (dependency) {
+            !dependency.optional && (required[dependency.require.name] = true);
+        });
+        for (module in modules) {
+            module = modules[module];
+            (!module.defined() && !module.numberOfRequirements && module.numberOfDependants && !required[module.name]) &&
+                (optional[module.name] = true);
+        }
+
+        // Iterate over all modules and index them before running topological sort, since sorting needs to know which
+        // modules are connected in order to honour the ordering hints between them.
         for (module in modules) {
             module = modules[module];
-            if (!module.indexing) {
-                collectionAdjacencyIndex(module, adjacencyPoint++);
+            // Modules that are optionally required but not defined are indexed along with the first module requiring
+            // them.
+            if (!module.indexing && !optional[module.name]) {
+                collectionAdjacencyIndex(module, adjacencyPoint++, optional);
             }
+        }
+        for (module in modules) {
+            module = modules[module];
             if (!module.sorting) {
-                collectionTopoSort(module, sortStack);
+                collectionTopoSort(module, sortStack, [], cycles, this);
             }
         }
 
@@ -219,9 +602,85 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
             delete modules[module].indexing;
         }
 
+        // Sorting stops at a cycle as soon as it is closed and hence the cycles are listed by walking them all.
+        if (cycles.length) {
+            throw this.cyclicDependencyError(collectionCycles(this));
+        }
+
         return sortStack;
     },
 
+    /**
+     * Gets the dependency relation between two modules.
+     *
+     * @param {string} module
+     * @param {string} dependency
+     * @returns {module:collection~ModuleCollection.Dependency=}
+     */
+    getDependency: function (module, dependency) {
+        var i,
+            ii;
+
+        module = this.get(module);
+        dependency = this.get(dependency);
+
+        for (i = 0, ii = this.dependencies.length; i < ii; i++) {
+            if (this.dependencies[i].module === module && this.dependencies[i].require === dependency) {
+                return this.dependencies[i];
+            }
+        }
+    },
+
+    /**
+     * Creates the error message that describes each cycle as the full chain of modules along with the source file and
+     * line of every requirement that makes the chain. Cycles that are the same chain starting from a different module
+     * are reported once.
+     *
+     * @param {Array<Array<module:collection~ModuleCollection.Module>>} cycles - Each cycle ends with the module it
+     * starts with.
+     * @returns {string}
+     */
+    cyclicDependencyError: function (cycles) {
+        var reported = {},
+            unique = [];
+
+        cycles.forEach(function (cycle) {
+            var names = cycle.slice(1).map(String),
+                first = names.indexOf(names.slice().sort()[0]),
+                key;
+
+            // Rotate the cycle to begin with the same module for every variant of it.
+            names = names.slice(first).concat(names.slice(0, first));
+            key = names.join("\n");
+
+            if (!reported[key]) {
+                reported[key] = true;
+                unique.push(names.concat(names[0]));
+            }
+        });
+
+        return lib.format("Cyclic dependency error discovered while parsing: {0}\n{1}",
+            lib.plural(unique.length, "cycle"), unique.map(function (names) {
+                return "- " + names.join(" -> ") + names.slice(1).map(function (name, i) {
+                    var dependency = this.getDependency(names[i], name),
+                        follows = this.get(names[i]).follows,
+                        item;
+
+                    // The link in the chain can be an ordering hint instead of a requirement.
+                    if (!dependency) {
+                        for (item in follows) {
+                            if (this.get(item) === this.get(name)) {
+                                return lib.format("\n    {0} is after {1}{2}", names[i], name, follows[item].source ?
+                                    lib.format(" at {0}:{1}", follows[item].source, follows[item].line) : "");
+                            }
+                        }
+                    }
+
+                    return lib.format("\n    {0} requires {1}{2}", names[i], name, dependency && dependency.source ?
+                        lib.format(" at {0}:{1}", dependency.source, dependency.line) : "");
+                }, this).join("");
+            }, this).join("\n"));
+    },
 
     toString: function () {
         var out = "digraph jslink {\n",
@@ -254,6 +713,8 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
  * @class
  * @param {module:collection~ModuleCollection.Module} module
  * @param {module:collection~ModuleCollection.Module} requirement
+ * @param {object=} [meta] - The `source` file and `line` where the dependency was declared, the semantic version
+ * `range` of the requirement that is acceptable and whether the dependency is `optional`.
  *
  * @example
  * // We will create two modules and then mark a relationship between them. The two modules are `product` and `customer`
@@ -269,7 +730,13 @@ lib.copy(ModuleCollection.prototype, /** @lends module:collection~ModuleCollecti
  * console.log(needs); // outputs "product" -> "customer"
  * console.log(!!prod.requires["customer"]) // outputs "true"
  */
-ModuleCollection.Dependency = function (module, requirement) {
+ModuleCollection.Dependency = function (module, requirement, meta) {
+    // The version range is validated before connecting so that an invalid range does not leave the modules connected.
+    if (meta && meta.range && !semver.validRange(meta.range)) {
+        throw new Error(lib.format("Invalid version range \"{0}\" for {1} required by {2}{3}", meta.range, requirement,
+            module, meta.source ? lib.format(" at {0}:{1}", meta.source, meta.line) : ""));
+    }
+
     // Connect the modules internally. Most validations will happen there itself.
     module.require(requirement);
 
@@ -287,9 +754,55 @@ ModuleCollection.Dependency = function (module, requirement) {
      * @readOnly
      */
     this.module = module;
+
+    /**
+     * The source file in which the dependency was declared.
+     * @type {string=}
+     * @readOnly
+     */
+    this.source = meta && meta.source;
+
+    /**
+     * The line in source file at which the dependency was declared.
+     * @type {number=}
+     * @readOnly
+     */
+    this.line = meta && meta.line;
+
+    /**
+     * The semantic version range of the requirement that is acceptable to the module.
+     * @type {string=}
+     * @readOnly
+     */
+    this.range = meta && meta.range || undefined;
+
+    /**
+     * The alias by which the requirement was required, in case it was not required by its own name.
+     * @type {string=}
+     * @readOnly
+     */
+    this.alias = meta && meta.alias || undefined;
+
+    /**
+     * Optional dependencies are linked only when the requirement is defined and are not reported as orphans otherwise.
+     * @type {boolean}
+     * @readOnly
+     */
+    this.optional = Boolean(meta && meta.optional);
 };
 
 lib.copy(ModuleCollection.Dependency.prototype, /** @lends module:collection~ModuleCollection.Dependency.prototype */ {
+    /**
+     * Checks whether the version of the requirement satisfies the version range of the dependency. Requirements that
+     * are not yet defined are not checked.
+     *
+     * @returns {boolean}
+     */
+    satisfied: function () {
+        return !this.range || !this.require.defined() || (this.require.version !== undefined &&
+            semver.satisfies(this.require.version, this.range));
+    },
+
     toString: function () {
         return lib.format("\"{0}\"->\"{1}\";", this.module.toString().replace(/\"/g, "\\\""),
             this.require.toString().replace(/\"/g, "\\\""));
@@ -351,6 +864,12 @@ ModuleCollection.Module = function (name, source) {
      */
     this.exports = [];
 
+    /**
+     * The banner, footer and separator templates of export files as provided along with the export directives.
+     * @type {Object<object>}
+     */
+    this.exportTemplates = {};
+
     /**
      * The source file path that defines this module. This is to be used as a getter and should be set using the
      * {@link module:collection~ModuleCollection.Module#define} method.
@@ -359,6 +878,26 @@ ModuleCollection.Module = function (name, source) {
      */
     this.source = undefined;
 
+    /**
+     * The semantic version of the module as provided during its definition.
+     * @type {string=}
+     * @readOnly
+     */
+    this.version = undefined;
+
+    /**
+     * The alternate names (aliases) by which this module can be required.
+     * @type {Array<string>}
+     */
+    this.provides = [];
+
+    /**
+     * The names of modules that this module is to be placed after, if they are linked along with it. Every name is
+     * mapped to the `source` file and `line` where the ordering hint was declared.
+     * @type {Object<object>}
+     */
+    this.follows = {};
+
     // Define the node if passed as part of constructor.
     source && this.define(source);
 };
@@ -368,16 +907,41 @@ lib.copy(ModuleCollection.Module.prototype, /** @lends module:collection~ModuleC
      * Modules can be created and yet be not marked as defined. Definition takes place only when a value is passed to
      * it - usually the source path.
      *
+     * @param {string} source
+     * @param {string=} [version] - The semantic version of the module.
      * @chainable
      * @returns {module:collection~ModuleCollection.Module}
+     *
+     * @throws {Error} If the version is not a valid semantic version.
      */
-    define: function (source) {
+    define: function (source, version) {
         // Redefinition is not allowed.
         if (this.defined()) {
             throw lib.format("Duplicate definition of {0} at: {1}\n\nAlready defined by {2}", this.name, source,
                 this.source);
         }
+        if (version && !semver.valid(version)) {
+            throw new Error(lib.format("Invalid version \"{0}\" of {1} at: {2}", version, this.name, source));
+        }
         this.source = lib.stringLike(source); // store
+        this.version = version ? semver.valid(version) : undefined;
+        return this; // chain
+    },
+
+    /**
+     * Reverts the definition of a module so that it can be defined afresh. The export directives, aliases and ordering
+     * hints of the module are cleared as well since they are part of the definition.
+     *
+     * @chainable
+     * @returns {module:collection~ModuleCollection.Module}
+     */
+    undefine: function () {
+        this.source = undefined;
+        this.version = undefined;
+        this.exports = [];
+        this.exportTemplates = {};
+        this.provides = [];
+        this.follows = {};
         return this; // chain
     },
 
@@ -385,8 +949,9 @@ lib.copy(ModuleCollection.Module.prototype, /** @lends module:collection~ModuleC
      * Add the list of target modules marked for export.
      * @param {module:collection~ModuleCollection.Module} module
      * @param {string} meta
+     * @param {object=} [template] - The `banner`, `footer` and `separator` templates of the export file.
      */
-    addExport: function (meta) {
+    addExport: function (meta, template) {
         // If export meta is not defined then we treat the module name as meta.
         if (!meta) {
             meta = this.name;
@@ -396,10 +961,28 @@ lib.copy(ModuleCollection.Module.prototype, /** @lends module:collection~ModuleC
         if ((this.exports || (this.exports = [])).indexOf(meta) === -1) {
             this.exports.push(meta);
         }
+        template && (this.exportTemplates[meta] = template);
 
         return module;
     },
 
+    /**
+     * Marks that this module is to be placed after another module whenever both are linked together. Unlike a
+     * requirement, this does not cause the other module to be linked.
+     *
+     * @param {string} name
+     * @param {object=} [meta] - The `source` file and `line` where the ordering hint was declared.
+     * @chainable
+     * @returns {module:collection~ModuleCollection.Module}
+     */
+    follow: function (name, meta) {
+        if ((name = lib.stringLike(name)) === this.name) {
+            throw lib.format("Module {0} cannot be placed after itself!", this);
+        }
+        this.follows[name] = meta || {};
+        return this;
+    },
+
     /**
      * Check whether the module has been defined formally. Modules can be created and yet be not marked as defined.
      *
@@ -435,12 +1018,53 @@ lib.copy(ModuleCollection.Module.prototype, /** @lends module:collection~ModuleC
         return this;
     },
 
+    /**
+     * Removes the mark that this module requires another module (as passed via parameter.)
+     *
+     * @param {module:collection~ModuleCollection.Module} requirement
+     * @chainable
+     * @returns {module:collection~ModuleCollection.Module}
+     */
+    unrequire: function (requirement) {
+        if (!this.requires[requirement]) {
+            throw lib.format("{1} is not marked as requirement of {0}", this.name, requirement.name);
+        }
+
+        // Remove the dependency from both the connected modules.
+        delete this.requires[requirement];
+        this.numberOfRequirements--;
+        delete requirement.dependants[this];
+        requirement.numberOfDependants--;
+
+        return this;
+    },
+
     /**
      * Clone this module.
      * @returns {module:collection~ModuleCollection.Module}
      */
     clone: function () {
-        return new ModuleCollection.Module(this.name, this.source);
+        var clone = new ModuleCollection.Module(this.name, this.source);
+
+        clone.version = this.version;
+        return clone;
+    },
+
+    /**
+     * Describes the module along with the names of modules it is connected to.
+     * @returns {object}
+     */
+    toJSON: function () {
+        return {
+            name: this.name,
+            source: this.source,
+            version: this.version,
+            provides: this.provides.slice(),
+            requires: Object.keys(this.requires),
+            dependants: Object.keys(this.dependants),
+            exports: this.exports.slice(),
+            index: this.index
+        };
     },
 
     toString: function () {
@@ -453,18 +1077,31 @@ ModuleCollection.analysers = [];
 
 // Functions to analyse the collection.
 ModuleCollection.analysers.push(function (stat) {
-    var module,
+    var required = {},
+        module,
         prop;
 
     stat.orphanModules = [];
+    stat.optionalModules = [];
     stat.definedModules = [];
     stat.numberOfExports = 0;
 
+    // Undefined modules are not orphans when all modules requiring them do so optionally.
+    this.dependencies.forEach(function (dependency) {
+        !dependency.optional && (required[dependency.require] = true);
+    });
+
     for (prop in this.modules) {
         module = this.modules[prop];
-        stat[module.defined() ? "definedModules" : "orphanModules"].push(module);
+        stat[module.defined() ? "definedModules" : ((required[prop] || !module.numberOfDependants) ? "orphanModules" :
+            "optionalModules")].push(module);
         stat.numberOfExports += module.exports.length || 0;
     }
+
+    // Dependencies whose required module does not have an acceptable version.
+    stat.versionMismatches = this.dependencies.filter(function (dependency) {
+        return !dependency.satisfied();
+    });
 });
 
 module.exports = ModuleCollection;
\ No newline at end of file
@@ -6,14 +6,439 @@
  * @requires lib
  * @requires collection
  * @requires io
+ * @requires plugins
+ * @requires cache
  */
 var VERSIONSTRING = "1.1.1",
+    WHY_PATHS_LIMIT = 100, // paths between modules grow exponentially and only so many are of any help.
+    fs = require("fs"),
+    pathUtil = require("path"),
     lib = require("./lib.js"),
     ansi = require("ansi"),
     cursor = ansi(process.stdout),
     ModuleCollection = require("./collection.js"),
-    moduleIO = require("./io.js");
+    SourceCache = require("./cache.js"),
+    moduleIO = require("./io.js"),
+    plugins = require("./plugins.js"),
+    prepareOptions, // function
+    populateCollection, // function
+    link, // function
+    listOutputs, // function
+    describeVersionMismatch, // function
+    verifyCollection, // function
+    verifyTokens, // function
+    writeExportMap, // function
+    queryCollection, // function
+    affectedExports, // function
+    staleExports; // function
 
+/**
+ * Reads the configuration file (if one is specified,) populates the unspecified options with default options and
+ * converts the option values from their textual form.
+ *
+ * @private
+ * @param {object} options
+ * @returns {object}
+ */
+prepareOptions = function (options) {
+    var conf;
+
+    // Check whether to read options from a configuration file.
+    if (options.conf && (typeof (conf = lib.readJSONFromFile(options.conf)).options === "object")) {
+        options = lib.fill(options, conf.options);
+    }
+    // Flags for conditional directives can be defined from command-line as well as from configuration file.
+    options.defines = lib.copy(lib.copy({}, lib.parseDefines(conf && conf.defines)),
+        lib.parseDefines(options.define || options.defines));
+    // Plugins are loaded right away since they may add directives, analysers and hooks used all through linking. The
+    // ones that were not loaded before are kept aside so that a build can unload them once it is done.
+    options.plugins = [].concat(conf && conf.plugins || [], options.plugins || [], options.plugin || []);
+    options._plugins = plugins.load(options.plugins);
+    // The templates of export files can be provided in the configuration file as well as with the options.
+    options.exports = lib.copy(lib.copy({}, conf && conf.exports), options.exports);
+    options = lib.fill(options, module.exports.options);
+    options = lib.parseJSONBooleans(options, ["recursive", "sourceMap", "overwrite", "strict", "verbose", "help",
+        "test", "watch", "debug", "wrapSources", "replaceTokens",
+        "validateSyntax", "esModules", "stripModuleSyntax", "lintGlobals"]);
+
+    // Tokens within sources are replaced only when asked for. Values of defines take precedence over the ones from the
+    // configuration file, which take precedence over the built-in ones.
+    if (options.replaceTokens) {
+        options.replacements = lib.copy(lib.copy({
+            JSLINK_VERSION: VERSIONSTRING,
+            BUILD_DATE: new Date().toISOString().slice(0, 10)
+        }, conf && conf.replacements), options.replacements);
+
+        // Only the defines that have a value (as in `--define=KEY=value`) are replacements. Others are mere flags.
+        Object.keys(options.defines).forEach(function (name) {
+            (typeof options.defines[name] === "string") && (options.replacements[name] = options.defines[name]);
+        });
+    }
+    else {
+        options.replacements = false;
+    }
+
+    // Options that accept either a path or a boolean (to use the default path) are converted only when boolean.
+    ["exportmap", "manifest", "commonChunk", "cache"].forEach(function (prop) {
+        (/^\s*(true|false)\s*$/i).test(options[prop]) && (options[prop] = (/true/i).test(options[prop]));
+    });
+
+    // Unless specified, the format of the dependency map is known from the extension of its file.
+    if (!options.exportmapFormat) {
+        options.exportmapFormat = (/\.html?$/i).test(options.exportmap) ? "html" : "dot";
+    }
+
+    // Do some sanity on the options.
+    ["includePattern", "excludePattern"].forEach(function (pattern) {
+        if (options[pattern] && !options[pattern].test) {
+            options[pattern] = new RegExp(options[pattern]);
+        }
+    });
+
+    return options;
+};
+
+/**
+ * Loads the modules from all source locations specified in options into the collection.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection
+ * @param {object} options
+ * @returns {module:collection~ModuleCollection}
+ */
+populateCollection = function (collection, options) {
+    var cache = options.cache ? new SourceCache(options.cache, options) : undefined,
+        i,
+        ii;
+
+    if (!Array.isArray(options.source)) {
+        options.source = [options.source];
+    }
+
+    for (i = 0, ii = options.source.length; i < ii; i++) {
+        if (options.source[i]) {
+            // Load the module dependencies from file.
+            moduleIO.populateCollectionFromFS(collection, options.source[i], Boolean(options.recursive),
+                options.includePattern, options.excludePattern, options.defines, cache, options);
+        }
+    }
+
+    // Imports are linked only once all sources are loaded since they may refer to modules defined anywhere.
+    options.esModules && moduleIO.linkESModules(collection);
+
+    // The cache is saved only when all sources load well. Otherwise, it is left as it was.
+    cache && cache.save();
+    return collection;
+};
+
+/**
+ * Describes a dependency whose required module does not have an acceptable version. The description names the file
+ * requiring the version as well as the file defining the module.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection.Dependency} dependency
+ * @returns {string}
+ */
+describeVersionMismatch = function (dependency) {
+    var source = dependency.source ? pathUtil.relative(".", dependency.source) +
+        (dependency.line ? ":" + dependency.line : "") : pathUtil.relative(".", dependency.module.source);
+
+    return lib.format("{0} requires {1} {2} at {3} but {4} defines {5}", dependency.module, dependency.require,
+        dependency.range, source, pathUtil.relative(".", dependency.require.source), dependency.require.version ?
+        "version " + dependency.require.version : "no version");
+};
+
+/**
+ * Validates the statistics of an analysed collection against the restrictions imposed by options.
+ *
+ * @private
+ * @param {object} stat
+ * @param {object} options
+ *
+ * @throws {string} If any of the restrictions is violated.
+ */
+verifyCollection = function (stat, options) {
+    if (options.strict) {
+        if (stat.orphanModules.length) {
+            throw lib.format("{0} detected under strict mode.\n- {1}", lib.plural(stat.orphanModules.length,
+                "orphan module"), stat.orphanModules.join("\n- "));
+        }
+
+        if (stat.versionMismatches.length) {
+            throw lib.format("{0} detected under strict mode.\n- {1}", lib.plural(stat.versionMismatches.length,
+                "version conflict"), stat.versionMismatches.map(describeVersionMismatch).join("\n- "));
+        }
+
+        if (stat.undeclaredRequirements && stat.undeclaredRequirements.length) {
+            throw lib.format("{0} detected under strict mode.\n- {1}", lib.plural(stat.undeclaredRequirements.length,
+                "missing requirement"), stat.undeclaredRequirements.map(function (item) {
+                    return lib.format("{0} uses {1} of {2} at {3}:{4}", item.module, item.name, item.require,
+                        pathUtil.relative(".", item.source), item.line);
+                }).join("\n- "));
+        }
+    }
+};
+
+/**
+ * Checks that every token found within sources has a replacement when running under strict mode.
+ *
+ * @private
+ * @param {Object<Array<module:io~token>>} tokens
+ * @param {object} options
+ */
+verifyTokens = function (tokens, options) {
+    var unknown = [];
+
+    if (options.strict) {
+        Object.keys(tokens).forEach(function (source) {
+            tokens[source].forEach(function (token) {
+                !token.known && unknown.push(lib.format("__{0}__ at {1}:{2}", token.name,
+                    pathUtil.relative(".", source), token.line));
+            });
+        });
+
+        if (unknown.length) {
+            throw lib.format("{0} detected under strict mode.\n- {1}", lib.plural(unknown.length, "unknown token"),
+                unknown.join("\n- "));
+        }
+    }
+};
+
+/**
+ * Writes the dependency map of the collection in the format specified by options.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection
+ * @param {object} options
+ * @param {boolean} overwrite
+ *
+ * @throws {Error} If the format of the dependency map is not known.
+ */
+writeExportMap = function (collection, options, overwrite) {
+    switch (options.exportmapFormat) {
+        case "dot":
+            moduleIO.writeCollectionToDot(collection, options.exportmap, overwrite);
+            break;
+        case "html":
+            moduleIO.writeCollectionToHTML(collection, options.exportmap, overwrite);
+            break;
+        default:
+            throw new Error(lib.format("Unknown dependency map format \"{0}\".", options.exportmapFormat));
+    }
+};
+
+/**
+ * Answers the dependency queries specified by options (`why`, `deps` and `rdeps`) from a populated collection.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection
+ * @param {object} options
+ * @returns {module:jslink~queryResult}
+ *
+ * @throws {Error} If a queried module is not known to the collection or `why` does not name two modules.
+ */
+queryCollection = function (collection, options) {
+    var result = {},
+        known,
+        related;
+
+    // Ensure that the module being queried exists in the collection.
+    known = function (name) {
+        name = lib.stringLike(name);
+        if (!collection.get(name)) {
+            throw new Error(lib.format("Unknown module \"{0}\".", name));
+        }
+        return name;
+    };
+
+    // Lists the names of all modules transitively related to a module in one direction, excluding the module itself.
+    related = function (name, direction) {
+        return Object.keys(collection.closure(name, direction)).filter(function (item) {
+            return item !== name;
+        }).sort();
+    };
+
+    if (options.why) {
+        result.why = [].concat(options.why).join(",").split(",").map(function (name) {
+            return name.trim();
+        }).map(known);
+        if (result.why.length !== 2) {
+            throw new Error("Provide two modules to query why one requires the other, as in --why=a,b");
+        }
+        // One more path than the limit tells whether there are more paths than those listed.
+        result.paths = collection.paths(result.why[0], result.why[1], WHY_PATHS_LIMIT + 1);
+        result.morePaths = result.paths.length > WHY_PATHS_LIMIT;
+        result.paths = result.paths.slice(0, WHY_PATHS_LIMIT);
+    }
+
+    if (options.deps) {
+        result.deps = known(options.deps);
+        result.requires = related(result.deps, "requires");
+    }
+
+    if (options.rdeps) {
+        result.rdeps = known(options.rdeps);
+        result.dependants = related(result.rdeps, "dependants");
+    }
+
+    /**
+     * @typedef {object} module:jslink~queryResult
+     * @property {Array<string>=} [why] - The two modules queried for dependency paths.
+     * @property {Array<Array<string>>=} [paths] - Every path of requirements from the first to the second module, up
+     * to the first hundred.
+     * @property {boolean=} [morePaths] - Whether there are more paths than those listed.
+     * @property {string=} [deps] - The module queried for its requirements.
+     * @property {Array<string>=} [requires] - All modules transitively required by the module.
+     * @property {string=} [rdeps] - The module queried for its dependants.
+     * @property {Array<string>=} [dependants] - All modules that transitively depend on the module.
+     */
+    return result;
+};
+
+/**
+ * Loads the sources into the collection, verifies it and exports it as specified by options. This is the entire
+ * linking process without any output to the terminal.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection
+ * @param {object} options
+ * @param {function=} [progress] - Called as each step of the process completes.
+ * @param {function=} [read] - Returns the content of a source path. Sources are read from file-system by default.
+ * @returns {object} The analysed `stat` of the collection and the export `matrix`, along with the `replacements` of
+ * tokens when they are asked to be replaced.
+ */
+link = function (collection, options, progress, read) {
+    var result = {};
+
+    progress = progress || function () {};
+
+    populateCollection(collection, options);
+    progress();
+    result.stat = collection.analyse();
+    progress();
+
+    verifyCollection(result.stat, options);
+
+    if (options.replacements) {
+        result.stat.tokens = moduleIO.scanTokens(Object.keys(collection.sources), options.replacements, read);
+        verifyTokens(result.stat.tokens, options);
+        result.replacements = options.replacements;
+    }
+
+    if (options.exportmap) {
+        writeExportMap(collection, options, options.overwrite);
+        progress();
+    }
+
+    plugins.trigger("beforeExport", collection, options);
+    result.matrix = moduleIO.exportCollectionToFS(collection, options.destination, options.overwrite, options.test,
+        undefined, options);
+    plugins.trigger("afterExport", collection, result.matrix, options);
+    progress();
+
+    if (options.manifest) {
+        moduleIO.writeCollectionToManifest(collection, result.matrix, options.manifest, options.overwrite);
+        progress();
+    }
+
+    return result;
+};
+
+/**
+ * Lists the files written from an export matrix along with the ordered list of sources within each of them.
+ *
+ * @private
+ * @param {Array<object>} matrix
+ * @param {object} options
+ * @returns {Array<module:jslink~output>}
+ */
+listOutputs = function (matrix, options) {
+    var outputs = [];
+
+    // Nothing is written in test mode.
+    if (options.test) {
+        return outputs;
+    }
+
+    matrix.forEach(function (bundle) {
+        bundle.exports.forEach(function (target) {
+            /**
+             * @typedef {object} module:jslink~output
+             * @property {string} path - Absolute path of the written file.
+             * @property {Array<string>} sources - The source files within the written file, in order.
+             * @property {Array<string>=} [chunks] - Other written files that need to be loaded before this one.
+             */
+            outputs.push({
+                path: pathUtil.resolve(options.destination, target),
+                sources: bundle.sources.slice(),
+                chunks: bundle.chunks
+            });
+        });
+    });
+
+    return outputs;
+};
+
+/**
+ * Compares two export matrices and returns the names of export files that need to be written again. An export is
+ * affected when its ordered list of sources has changed or when any of its sources is among the changed paths.
+ *
+ * @private
+ * @param {Array<object>} previous
+ * @param {Array<object>} current
+ * @param {Array<string>} paths
+ * @returns {Array<string>}
+ */
+affectedExports = function (previous, current, paths) {
+    var before = {},
+        targets = [];
+
+    previous.forEach(function (bundle) {
+        bundle.exports.forEach(function (target) {
+            this[target] = bundle.sources.join("\n");
+        }, before);
+    });
+
+    current.forEach(function (bundle) {
+        var touched = bundle.sources.some(function (source) {
+            return paths.indexOf(source) !== -1;
+        });
+
+        bundle.exports.forEach(function (target) {
+            if ((touched || before[target] !== bundle.sources.join("\n")) && targets.indexOf(target) === -1) {
+                targets.push(target);
+            }
+        });
+    });
+
+    return targets;
+};
+
+
+/**
+ * Compares two export matrices and returns the names of export files that are no longer exported, such as when an
+ * export directive is removed or when a module moves to an export of another name.
+ *
+ * @private
+ * @param {Array<object>} previous
+ * @param {Array<object>} current
+ * @returns {Array<string>}
+ */
+staleExports = function (previous, current) {
+    var after = {};
+
+    current.forEach(function (bundle) {
+        bundle.exports.forEach(function (target) {
+            this[target] = true;
+        }, after);
+    });
+
+    return previous.reduce(function (stale, bundle) {
+        return stale.concat(bundle.exports.filter(function (target) {
+            return !after[target] && stale.indexOf(target) === -1;
+        }));
+    }, []);
+};
 
 module.exports = /** @lends module:jslink */ {
     /**
@@ -31,10 +456,32 @@ module.exports = /** @lends module:jslink */ {
         destination: "out/",
         strict: true,
         exportmap: false,
+        manifest: false,
+        exportMode: "component",
+        commonChunk: false,
+        sourceMap: false,
+        wrap: false,
+        globals: false,
+        wrapExports: false,
+        wrapSources: false,
+        replaceTokens: false,
+        strip: false,
+        plugin: false,
+        cache: false,
+        validateSyntax: false,
+        ecmaVersion: "latest",
+        sourceType: "script",
+        esModules: false,
+        stripModuleSyntax: false,
+        lintGlobals: false,
         overwrite: false,
         verbose: false,
         help: false,
         test: false,
+        watch: false,
+        why: false,
+        deps: false,
+        rdeps: false,
         debug: false
     },
 
@@ -44,16 +491,7 @@ module.exports = /** @lends module:jslink */ {
     cli: function (argv) { /** @todo refactor */
         // Parse all command-line arguments as an object and populate the unspecified properties with default
         // options.
-        var options = lib.argsArray2Object(argv.slice(2), "source"),
-            conf;
-
-        // Check whether to read options from a configuration file.
-        if (options.conf && (typeof (conf = lib.readJSONFromFile(options.conf)).options === "object")) {
-            options = lib.fill(options, conf.options);
-        }
-        options = lib.fill(options, module.exports.options);
-        options = lib.parseJSONBooleans(options, ["recursive", "exportmap", "overwrite", "strict", "verbose", "help",
-            "test", "debug"]);
+        var options = prepareOptions(lib.argsArray2Object(argv.slice(2), "source"));
 
         // If version query is sent then ignore all other options
         if (options.version) {
@@ -87,14 +525,65 @@ module.exports = /** @lends module:jslink */ {
             }
         }
 
-        // Do some sanity on the options.
-        ["includePattern", "excludePattern"].forEach(function (pattern) {
-            if (options[pattern] && !options[pattern].test) {
-                options[pattern] = new RegExp(options[pattern]);
-            }
-        });
+        // In watch mode the process stays alive and keeps relinking whenever the sources change.
+        if (options.watch) {
+            return this.watch(options, function (error, collection, stat, targets, stale) { // output to console
+                cursor.reset().write("\n");
+                if (error) {
+                    cursor.red().write((error.message && error.message || error) + "\n");
+                }
+                else if (targets) {
+                    cursor.green().write(lib.format("Relinked with {0} updated{1}\n", lib.plural(targets.length,
+                        "export"), targets.length ? ": " + targets.join(", ") : "."));
+                    stale.length && cursor.yellow().write(lib.format("Removed {0} no longer exported: {1}\n",
+                        lib.plural(stale.length, "export"), stale.join(", "))).green();
+                }
+                else {
+                    cursor.green()
+                    .write(lib.format("{0} with {1} processed for {2}.\n", lib.plural(stat.filesProcessed || 0,
+                        "file"), lib.plural(stat.definedModules.length || 0, "module"),
+                        lib.plural(stat.numberOfExports || 0, "export directive")));
+                }
+                console.timeEnd("Preprocessing time");
+                cursor.reset().write("Watching for changes...\n");
+                console.time("Preprocessing time");
+            });
+        }
+
+        // Dependency queries only load the sources and answer from the collection without exporting anything.
+        if (options.why || options.deps || options.rdeps) {
+            return this.query(options, function (error, collection, result) { // callback for output to console
+                cursor.reset().write("\n");
+                if (error) {
+                    cursor.red().write((error.message && error.message || error) + "\n");
+                }
+                else {
+                    result.why && (result.paths.length ? cursor.write(lib.format("{0} requires {1} through {2}{3}:\n",
+                        result.why[0], result.why[1], result.morePaths ? "more than " : "",
+                        lib.plural(result.paths.length, "path")) + "- " +
+                        result.paths.map(function (path) {
+                            return path.join(" -> ");
+                        }).join("\n- ") + "\n") :
+                        cursor.write(lib.format("{0} does not require {1}.\n", result.why[0], result.why[1])));
 
-        return this.parse(options, function (error, collection, stat) { // callback for output to console
+                    result.deps && cursor.write(lib.format("{0} requires {1}{2}\n", result.deps,
+                        lib.plural(result.requires.length, "module"), result.requires.length ?
+                            ":\n- " + result.requires.join("\n- ") : "."));
+
+                    result.rdeps && cursor.write(lib.format("{0} is required by {1}{2}\n", result.rdeps,
+                        lib.plural(result.dependants.length, "module"), result.dependants.length ?
+                            ":\n- " + result.dependants.join("\n- ") : "."));
+                }
+                console.timeEnd("Preprocessing time");
+                cursor.reset();
+                if (options.debug && error) {
+                    throw error;
+                }
+                process.exit(+!!error);
+            });
+        }
+
+        return this.parse(options, function (error, collection, stat, matrix) { // callback for output to console
             cursor.reset().write("\n");
             if (error) {
                 cursor.red().write((error.message && error.message || error) + "\n");
@@ -105,6 +594,45 @@ module.exports = /** @lends module:jslink */ {
                     lib.plural(stat.definedModules.length || 0, "module"),
                     lib.plural(stat.numberOfExports || 0, "export directive")));
 
+                // Mention the export files that need the common export file to be loaded before them.
+                matrix && matrix.forEach(function (bundle) {
+                    bundle.chunks && cursor.write(lib.format("{0} requires {1}.\n", bundle.exports.join(", "),
+                        bundle.chunks.join(", ")));
+                });
+
+                // Report the tokens used by every source, along with the ones left as is for having no replacement.
+                stat.tokens && Object.keys(stat.tokens).forEach(function (source) {
+                    var names = function (known) {
+                        return stat.tokens[source].filter(function (token) {
+                            return token.known === known;
+                        }).map(function (token) {
+                            return "__" + token.name + "__";
+                        }).filter(function (name, index, list) {
+                            return list.indexOf(name) === index;
+                        }).join(", ");
+                    };
+
+                    names(true) && cursor.write(lib.format("{0} uses {1}.\n", pathUtil.relative(".", source),
+                        names(true)));
+                    names(false) && cursor.yellow().write(lib.format("{0} leaves {1} as is.\n",
+                        pathUtil.relative(".", source), names(false))).green();
+                });
+
+                // Version conflicts under relaxed mode are warnings.
+                !options.strict && stat.versionMismatches.forEach(function (dependency) {
+                    cursor.yellow().write(describeVersionMismatch(dependency) + ".\n").green();
+                });
+
+                // Requirements that are missing under relaxed mode and the ones that are never used are warnings.
+                stat.undeclaredRequirements && stat.undeclaredRequirements.forEach(function (item) {
+                    cursor.yellow().write(lib.format("{0} uses {1} of {2} at {3}:{4} without requiring it.\n",
+                        item.module, item.name, item.require, pathUtil.relative(".", item.source), item.line)).green();
+                });
+                stat.unusedRequirements && stat.unusedRequirements.forEach(function (dependency) {
+                    cursor.yellow().write(lib.format("{0} requires {1} at {2}:{3} but uses none of its globals.\n",
+                        dependency.module, dependency.require, pathUtil.relative(".", dependency.source),
+                        dependency.line)).green();
+                });
             }
             console.timeEnd("Preprocessing time");
             cursor.reset();
@@ -121,57 +649,265 @@ module.exports = /** @lends module:jslink */ {
      * @param {module:jslink~parseResult=} [callback]
      * @returns {ModuleCollection}
      */
-    parse: function (options, callback) { /** @todo refactor */
+    parse: function (options, callback) {
         var collection = new ModuleCollection(),
             error, // to pass on from try-catch to callback.
-            stat,
-            i,
-            ii;
+            result = {};
 
         try {
-            if (!Array.isArray(options.source)) {
-                options.source = [options.source];
-            }
+            result = link(collection, options, function () {
+                cursor.write(".");
+            });
+        }
+        catch (err) {
+            error = err;
+        }
 
-            for (i = 0, ii = options.source.length; i < ii; i++) {
-                if (options.source[i]) {
-                    // Load the module dependencies from file.
-                    moduleIO.populateCollectionFromFS(collection, options.source[i], Boolean(options.recursive),
-                        options.includePattern, options.excludePattern);
-                }
-            }
-            cursor.write(".");
-            stat = collection.analyse();
-            cursor.write(".");
-
-            if (options.strict) {
-                if (stat.orphanModules.length) {
-                    throw lib.format("{0} detected under strict mode.\n- {1}", lib.plural(stat.orphanModules.length,
-                        "orphan module"), stat.orphanModules.join("\n- "));
-                }
-            }
+        /**
+         * @callback module:jslink~parseResult
+         * @param {Error=} [error]
+         * @param {module:collection~ModuleCollection} [collection]
+         * @param {object=} [stat]
+         * @param {Array<object>=} [matrix] - The sources and exports of every exported bundle.
+         */
+        callback && callback(error, collection, result.stat, result.matrix);
+        return collection;
+    },
 
-            if (options.exportmap) {
-                moduleIO.writeCollectionToDot(collection, options.exportmap, options.overwrite);
-                cursor.write(".");
-            }
+    /**
+     * Loads the sources as specified by options and answers the dependency queries within options - `why` (the two
+     * comma separated module names to list every path of requirements between), `deps` (the module to list all
+     * requirements of) and `rdeps` (the module to list all dependants of.) Nothing is exported.
+     *
+     * @param {object} options
+     * @param {module:jslink~queryCallback=} [callback]
+     * @returns {ModuleCollection}
+     *
+     * @example
+     * require("jslink").query({
+     *     source: "src/",
+     *     recursive: true,
+     *     why: "fusioncharts.renderer.javascript,fusioncharts.ajax"
+     * }, function (error, collection, result) {
+     *     result.paths.forEach(function (path) {
+     *         console.log(path.join(" -> "));
+     *     });
+     * });
+     */
+    query: function (options, callback) {
+        var collection = new ModuleCollection(),
+            error, // to pass on from try-catch to callback.
+            result;
 
-            moduleIO.exportCollectionToFS(collection, options.destination, options.overwrite, options.test);
-            cursor.write(".");
+        try {
+            options = prepareOptions(lib.copy({}, options));
+            populateCollection(collection, options);
+            result = queryCollection(collection, options);
         }
         catch (err) {
             error = err;
         }
+        finally {
+            plugins.unload(options._plugins);
+        }
 
         /**
-         * @callback module:jslink~parseResult
+         * @callback module:jslink~queryCallback
          * @param {Error=} [error]
          * @param {module:collection~ModuleCollection} [collection]
+         * @param {module:jslink~queryResult=} [result]
          */
-        callback && callback(error, collection, stat);
+        callback && callback(error, collection, result);
         return collection;
     },
 
+    /**
+     * Links the sources as specified by options without any output to the terminal. This is the entry point to use
+     * jslink from other programs and build scripts. The options are the same as those of command-line and a
+     * configuration file can be provided using the `conf` option.
+     *
+     * @param {object} options
+     * @returns {Promise} Resolves with an object having the `collection`, its analysed `stat` and the list of written
+     * files as `outputs`. Rejects with the error that stopped the linking.
+     *
+     * @example
+     * require("jslink").build({
+     *     source: ["src/"],
+     *     recursive: true,
+     *     destination: "out/",
+     *     overwrite: true
+     * }).then(function (result) {
+     *     result.outputs.forEach(function (output) {
+     *         console.log(output.path, output.sources.length);
+     *     });
+     * });
+     */
+    build: function (options) {
+        return new Promise(function (resolve, reject) {
+            var collection = new ModuleCollection(),
+                result;
+
+            try {
+                options = prepareOptions(lib.copy({}, options));
+                result = link(collection, options);
+            }
+            catch (error) {
+                return reject(error instanceof Error ? error : new Error(error));
+            }
+            finally {
+                plugins.unload(options._plugins);
+            }
+
+            /**
+             * @typedef {object} module:jslink~buildResult
+             * @property {module:collection~ModuleCollection} collection
+             * @property {object} stat
+             * @property {Array<module:jslink~output>} outputs
+             */
+            resolve({
+                collection: collection,
+                stat: result.stat,
+                outputs: listOutputs(result.matrix, options)
+            });
+        });
+    },
+
+    /**
+     * Links a collection that has been populated by other means, such as from a stream of files. Sources specified in
+     * options (if any) are loaded into the collection as well. The collection is then analysed, verified and exported
+     * as specified by options without any output to the terminal.
+     *
+     * @param {module:collection~ModuleCollection} collection
+     * @param {object} options
+     * @param {function=} [read] - Returns the content of a source path, for sources that are not on the file-system.
+     * @returns {object} The analysed `stat` of the collection and the export `matrix`, along with the `replacements` of
+     * tokens when they are asked to be replaced.
+     */
+    linkCollection: function (collection, options, read) {
+        options = prepareOptions(lib.copy({}, options));
+
+        try {
+            return link(collection, options, undefined, read);
+        }
+        finally {
+            plugins.unload(options._plugins);
+        }
+    },
+
+    /**
+     * Prepares options the same way as a build does, for entry points that parse sources themselves before linking
+     * them using `linkCollection`. The plugins it loads are listed as `_plugins` of the result, for the caller to
+     * unload once done.
+     *
+     * @param {object=} [options]
+     * @returns {object}
+     */
+    prepareOptions: function (options) {
+        return prepareOptions(lib.copy({}, options));
+    },
+
+    /**
+     * Creates a stream to be used as Gulp plugin. Refer to {@link module:gulp} for details.
+     *
+     * @param {object=} [options]
+     * @returns {stream.Transform}
+     */
+    gulp: function (options) {
+        return require("./gulp.js")(options);
+    },
+
+    /**
+     * Links the sources and then keeps watching the source locations for changes. Upon every change, only the touched
+     * files are parsed again and only the export files that are affected by the change are re-written. Export files that
+     * are no longer exported are removed.
+     *
+     * @param {object} options - Options as prepared by {@link module:jslink.prepareOptions}.
+     * @param {module:jslink~watchResult=} [callback] - Called after the first link and after every relink.
+     * @returns {function} Calling this stops watching.
+     */
+    watch: function (options, callback) {
+        var collection,
+            matrix, // the export matrix as last written
+            relink; // function
+
+        relink = function (paths) {
+            var previous = matrix,
+                current,
+                targets,
+                stale,
+                error, // to pass on from try-catch to callback.
+                stat;
+
+            try {
+                // Without a completely loaded collection from an earlier run, the collection has to be loaded afresh.
+                if (previous) {
+                    // Files are counted afresh so that the statistics of a relink are of the files it parsed again.
+                    collection._statFilesTotal = collection._statFilesProcessed = collection._statFilesError = 0;
+                    paths.forEach(function (path) {
+                        collection.remove(path);
+                        if (fs.existsSync(path) && fs.statSync(path).isFile()) {
+                            moduleIO.populateCollectionFromFS(collection, path, false, options.includePattern,
+                                options.excludePattern, options.defines, undefined, options);
+                        }
+                    });
+                    options.esModules && moduleIO.linkESModules(collection);
+                }
+                else {
+                    populateCollection(collection = new ModuleCollection(), options);
+                }
+
+                stat = collection.analyse();
+                verifyCollection(stat, options);
+
+                if (options.replacements) {
+                    stat.tokens = moduleIO.scanTokens(Object.keys(collection.sources), options.replacements);
+                    verifyTokens(stat.tokens, options);
+                }
+
+                if (options.exportmap) {
+                    writeExportMap(collection, options, previous ? true : options.overwrite);
+                }
+
+                plugins.trigger("beforeExport", collection, options);
+                current = moduleIO.exportCollectionToFS(collection, options.destination, options.overwrite, true,
+                    undefined, options);
+                // Export files written by an earlier run are ours to overwrite, as well as to remove once they are no
+                // longer exported.
+                if (previous) {
+                    targets = affectedExports(previous, current, paths);
+                    stale = staleExports(previous, current);
+                    !options.test && moduleIO.removeExportsFromFS(options.destination, stale);
+                }
+                moduleIO.exportCollectionToFS(collection, options.destination, previous ? true : options.overwrite,
+                    options.test, targets, options);
+                plugins.trigger("afterExport", collection, current, options);
+                matrix = current;
+
+                if (options.manifest) {
+                    moduleIO.writeCollectionToManifest(collection, current, options.manifest, previous ? true :
+                        options.overwrite);
+                }
+            }
+            catch (err) {
+                error = err;
+            }
+
+            /**
+             * @callback module:jslink~watchResult
+             * @param {Error=} [error]
+             * @param {module:collection~ModuleCollection} [collection]
+             * @param {object=} [stat]
+             * @param {Array<string>=} [targets] - Export files re-written by a relink. Not sent for the first link.
+             * @param {Array<string>=} [stale] - Export files of an earlier link that a relink no longer exports and
+             * hence removed (unless in test mode.) Not sent for the first link.
+             */
+            callback && callback(error, collection, stat, targets, stale);
+        };
+
+        relink([]);
+        return moduleIO.watchSourcesOnFS(options.source, Boolean(options.recursive), relink);
+    },
+
     /**
      * This function neatly outputs the program's commandline options and usage guides to the terminal. This is
      * generally called by `cli` parsing method when `--help` option is set to true.
@@ -191,10 +927,35 @@ module.exports = /** @lends module:jslink */ {
             .write("--destination=<location>\tThe output directory where all processed files will be saved\n")
             .write("--includePattern=<regex>\tWhite-list of input files names from source directory\n")
             .write("--excludePattern=<regex>\tBlack-list of input files names from source directory\n")
+            .write("--exportMode=<mode>\t\tExport connected modules (component) or only requirements (closure)\n")
+            .write("--commonChunk=<file>\t\tMove sources shared by export files to a common export file\n")
+            .write("--exportmap=<file>\t\tWrite the dependency map of modules to the file\n")
+            .write("--exportmapFormat=<format>\tFormat of the dependency map, either dot or html\n")
+            .write("--manifest=<file>\t\tWrite a JSON description of modules and exports to the file\n")
+            .write("--wrap=<format>\t\t\tWrap every export file as an iife, umd, amd or commonjs module\n")
+            .write("--globals=<param>=<name> (...)\tPass a global or module to a parameter of the wrapper\n")
+            .write("--wrapExports=<name>\t\tVariable within the export file that the wrapped module returns\n")
+            .write("--strip=<mode>\t\t\tRemove directives, jsdoc or all comments from exported sources\n")
+            .write("--cache=<location>\t\tKeep the comments of sources in a cache to skip parsing unchanged files\n")
+            .write("--ecmaVersion=<version>\t\tVersion of ECMAScript to validate syntax of sources with\n")
+            .write("--sourceType=<type>\t\tValidate syntax of sources as either script or module\n")
             .write("--source=<location> (...)\tThe source directory to read modules from\n")
+            .write("--define=<flag> (...)\t\tDefine a flag for conditional directives like @if and @requires-if\n")
+            .write("--why=<module>,<module>\t\tList every path through which one module requires another\n")
+            .write("--deps=<module>\t\t\tList all modules required by the module\n")
+            .write("--rdeps=<module>\t\tList all modules that depend on the module\n")
+            .write("--plugin=<location> (...)\tLoad a plugin that adds directives, analysers or export hooks\n")
             .write("--conf=<location>\t\tjslink configuration JSON file location\n\n")
             .write("--recursive\tLook into all sub-directories while reading source directory\n")
+            .write("--validateSyntax\tParse the complete syntax of sources to report syntax errors\n")
+            .write("--esModules\tRequire the modules imported by sources having import or export statements\n")
+            .write("--stripModuleSyntax\tRemove import and export statements from exported sources\n")
+            .write("--lintGlobals\tReport requirements that are missing or unused as per the globals of sources\n")
+            .write("--sourceMap\tWrite a source map alongside every exported file\n")
+            .write("--replaceTokens\tReplace tokens like __JSLINK_VERSION__ within sources while exporting\n")
+            .write("--wrapSources\tWrap every source file within an export file in a scope of its own\n")
             .write("--test\t\tRun jslink in test mode without writing to file-system\n")
+            .write("--watch\t\tKeep watching the sources and relink whenever they change\n")
             .write("--verbose\tWill output (hopefully) useful information during the linking process\n")
             .write("--help\t\tOutputs the usage help text to terminal\n")
             .write("--version\tShows the jslink version being used\n\n");
@@ -0,0 +1,429 @@
+/**
+ * Lint of the globals shared between modules. The syntax tree of every source is walked to know the globals it defines
+ * (its top-level declarations and the undeclared variables it assigns to) and the free variables it reads. Once the
+ * collection is loaded, a module that reads a global defined by the source of another module without requiring that
+ * module (directly or otherwise) is reported, since nothing then ensures that the other module is placed before it.
+ * Requirements of which not a single global is read are reported as well.
+ *
+ * @module globals
+ * @requires lib
+ * @requires collection
+ */
+
+var FUNCTION = /^(?:FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/,
+    LOOP = /^For(?:In|Of)?Statement$/,
+    // Keys of syntax nodes that hold a name rather than a reference to a variable, unless the key is computed.
+    NAME_KEYS = {
+        MemberExpression: "property",
+        Property: "key",
+        MethodDefinition: "key",
+        PropertyDefinition: "key"
+    },
+    // Nodes that hold no reference to any variable.
+    NAMES = /^(?:MetaProperty|ImportDeclaration|ExportAllDeclaration)$/,
+    SKIPPED_KEYS = /^(?:type|start|end|loc|range|label)$/, // labels are names as well.
+
+    pathUtil = require("path"),
+    lib = require("./lib.js"),
+    ModuleCollection = require("./collection.js"),
+    has, // function
+    declared, // function
+    declarePattern, // function
+    hoistVariables, // function
+    declareLexical, // function
+    walk, // function
+    walkPattern; // function
+
+/**
+ * Checks whether an object has a property of its own. Variables of sources may well be named `hasOwnProperty`.
+ *
+ * @private
+ * @param {object} object
+ * @param {string} name
+ * @returns {boolean}
+ */
+has = function (object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+};
+
+/**
+ * Checks whether a variable is declared within any of the scopes.
+ *
+ * @private
+ * @param {Array<object>} scopes
+ * @param {string} name
+ * @returns {boolean}
+ */
+declared = function (scopes, name) {
+    return scopes.some(function (scope) {
+        return has(scope, name);
+    });
+};
+
+/**
+ * Adds the names bound by a pattern (as in declarations and parameters) to a scope.
+ *
+ * @private
+ * @param {object} pattern
+ * @param {object} scope
+ */
+declarePattern = function (pattern, scope) {
+    switch (pattern && pattern.type) {
+        case "Identifier":
+            scope[pattern.name] = pattern.loc.start.line;
+            break;
+        case "ObjectPattern":
+            pattern.properties.forEach(function (property) {
+                declarePattern(property.type === "RestElement" ? property.argument : property.value, scope);
+            });
+            break;
+        case "ArrayPattern":
+            pattern.elements.forEach(function (element) {
+                declarePattern(element, scope);
+            });
+            break;
+        case "RestElement":
+            declarePattern(pattern.argument, scope);
+            break;
+        case "AssignmentPattern":
+            declarePattern(pattern.left, scope);
+            break;
+    }
+};
+
+/**
+ * Adds the `var` declarations within a function (or program) to its scope. Nested functions have scopes of their own.
+ *
+ * @private
+ * @param {object} node
+ * @param {object} scope
+ */
+hoistVariables = function (node, scope) {
+    var key;
+
+    if (!node || typeof node !== "object") {
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach(function (item) {
+            hoistVariables(item, scope);
+        });
+        return;
+    }
+    if (node.type === "VariableDeclaration" && node.kind === "var") {
+        node.declarations.forEach(function (declarator) {
+            declarePattern(declarator.id, scope);
+        });
+    }
+    if (FUNCTION.test(node.type) || /^Class/.test(node.type)) {
+        return;
+    }
+    for (key in node) {
+        !SKIPPED_KEYS.test(key) && hoistVariables(node[key], scope);
+    }
+};
+
+/**
+ * Adds the block-scoped declarations among a list of statements to a scope, along with function declarations and the
+ * bindings of imports.
+ *
+ * @private
+ * @param {Array<object>} statements
+ * @param {object} scope
+ */
+declareLexical = function (statements, scope) {
+    statements.forEach(function (statement) {
+        // Exported declarations are declarations as well.
+        (/^Export(?:Named|Default)Declaration$/).test(statement.type) && statement.declaration &&
+            (statement = statement.declaration);
+
+        switch (statement.type) {
+            case "VariableDeclaration":
+                statement.kind !== "var" && statement.declarations.forEach(function (declarator) {
+                    declarePattern(declarator.id, scope);
+                });
+                break;
+            case "FunctionDeclaration":
+            case "ClassDeclaration":
+                statement.id && declarePattern(statement.id, scope);
+                break;
+            case "ImportDeclaration":
+                statement.specifiers.forEach(function (specifier) {
+                    declarePattern(specifier.local, scope);
+                });
+                break;
+        }
+    });
+};
+
+/**
+ * Walks a syntax node and notes the variables it reads that are not declared within any of the enclosing scopes.
+ * Assigning to such a variable creates a global and as such it is noted as defined rather than read.
+ *
+ * @private
+ * @param {object} node
+ * @param {Array<object>} scopes - The enclosing scopes, innermost last.
+ * @param {object} result - Has the `defines` and `reads` to note the variables within.
+ */
+walk = function (node, scopes, result) {
+    var scope,
+        key;
+
+    if (!node || typeof node !== "object") {
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach(function (item) {
+            walk(item, scopes, result);
+        });
+        return;
+    }
+    if (typeof node.type !== "string" || NAMES.test(node.type)) {
+        return;
+    }
+
+    switch (node.type) {
+        case "Identifier":
+            !declared(scopes, node.name) && !has(result.reads, node.name) &&
+                (result.reads[node.name] = node.loc.start.line);
+            return;
+
+        case "AssignmentExpression":
+            // Plain assignment to an undeclared variable creates a global rather than reading it.
+            if (node.operator === "=") {
+                if (node.left.type === "Identifier") {
+                    !declared(scopes, node.left.name) && !has(result.defines, node.left.name) &&
+                        (result.defines[node.left.name] = node.left.loc.start.line);
+                }
+                else {
+                    walkPattern(node.left, scopes, result);
+                }
+                walk(node.right, scopes, result);
+                return;
+            }
+            break;
+
+        case "VariableDeclarator":
+            // Only the default values and computed keys within the declared pattern are read.
+            walkPattern(node.id, scopes, result);
+            walk(node.init, scopes, result);
+            return;
+
+        case "FunctionDeclaration":
+        case "FunctionExpression":
+        case "ArrowFunctionExpression":
+            scope = {};
+            // Arrow functions see the `arguments` of the function enclosing them.
+            node.type !== "ArrowFunctionExpression" && (scope.arguments = 0);
+            // The name of a function expression is known only within the function.
+            node.type === "FunctionExpression" && node.id && declarePattern(node.id, scope);
+            node.params.forEach(function (param) {
+                declarePattern(param, scope);
+            });
+            hoistVariables(node.body, scope);
+            node.body.type === "BlockStatement" && declareLexical(node.body.body, scope);
+            scopes = scopes.concat(scope);
+            walkPattern(node.params, scopes, result);
+            walk(node.body.type === "BlockStatement" ? node.body.body : node.body, scopes, result);
+            return;
+
+        case "ClassDeclaration":
+        case "ClassExpression":
+            scope = {};
+            node.id && declarePattern(node.id, scope);
+            walk(node.superClass, scopes, result);
+            walk(node.body, scopes.concat(scope), result);
+            return;
+
+        case "BlockStatement":
+        case "StaticBlock":
+            declareLexical(node.body, (scope = {}));
+            walk(node.body, scopes.concat(scope), result);
+            return;
+
+        case "SwitchStatement":
+            scope = {};
+            node.cases.forEach(function (item) {
+                declareLexical(item.consequent, scope);
+            });
+            walk(node.discriminant, scopes, result);
+            walk(node.cases, scopes.concat(scope), result);
+            return;
+
+        case "CatchClause":
+            declarePattern(node.param, (scope = {}));
+            walkPattern(node.param, scopes, result);
+            walk(node.body, scopes.concat(scope), result);
+            return;
+
+        case "ExportNamedDeclaration":
+            // Exports from other modules do not refer to variables of this module.
+            if (node.source) {
+                return;
+            }
+            break;
+
+        case "ExportSpecifier":
+            walk(node.local, scopes, result);
+            return;
+    }
+
+    // Loops may declare block-scoped variables of their own.
+    if (LOOP.test(node.type)) {
+        declareLexical([node.init || node.left].filter(Boolean), (scope = {}));
+        scopes = scopes.concat(scope);
+    }
+
+    for (key in node) {
+        !(SKIPPED_KEYS.test(key) || (NAME_KEYS[node.type] === key && !node.computed)) &&
+            walk(node[key], scopes, result);
+    }
+};
+
+/**
+ * Walks the default values and computed keys of a pattern, which are the only parts of a pattern that read variables.
+ *
+ * @private
+ * @param {object|Array<object>} pattern
+ * @param {Array<object>} scopes
+ * @param {object} result
+ */
+walkPattern = function (pattern, scopes, result) {
+    if (Array.isArray(pattern)) {
+        pattern.forEach(function (item) {
+            walkPattern(item, scopes, result);
+        });
+        return;
+    }
+
+    switch (pattern && pattern.type) {
+        case "ObjectPattern":
+            pattern.properties.forEach(function (property) {
+                property.computed && walk(property.key, scopes, result);
+                walkPattern(property.type === "RestElement" ? property.argument : property.value, scopes, result);
+            });
+            break;
+        case "ArrayPattern":
+            walkPattern(pattern.elements, scopes, result);
+            break;
+        case "RestElement":
+            walkPattern(pattern.argument, scopes, result);
+            break;
+        case "AssignmentPattern":
+            walkPattern(pattern.left, scopes, result);
+            walk(pattern.right, scopes, result);
+            break;
+        case "MemberExpression": // assigning to properties within a destructuring assignment.
+            walk(pattern, scopes, result);
+            break;
+    }
+};
+
+module.exports = {
+    /**
+     * Finds the globals that a syntax tree defines and the free variables it reads, along with the line where each is
+     * first defined or read.
+     *
+     * @param {object} ast - The complete syntax tree of a source.
+     * @returns {{defines: Object<number>, reads: Object<number>}}
+     */
+    analyse: function (ast) {
+        var program = {},
+            result = {
+                defines: {},
+                reads: {}
+            };
+
+        hoistVariables(ast.body, program);
+        declareLexical(ast.body, program);
+        walk(ast.body, [program], result);
+
+        lib.copy(result.defines, program);
+        // What a module imports is defined elsewhere.
+        ast.body.forEach(function (statement) {
+            statement.type === "ImportDeclaration" && statement.specifiers.forEach(function (specifier) {
+                delete result.defines[specifier.local.name];
+            });
+        });
+        return result;
+    }
+};
+
+/**
+ * Function to add the requirements that are missing or unused, as per the globals of the linted sources, to the
+ * statistics of a collection. Globals defined by more than one source are not attributed to any module.
+ */
+ModuleCollection.analysers.push(function (stat) {
+    var linted = {},
+        sources = this.sources,
+        owners = {},
+        modules; // function
+
+    stat.undeclaredRequirements = [];
+
+    // Only what has the shape of an analysis is taken as the globals of a source.
+    this._globals && Object.keys(this._globals).forEach(function (path) {
+        var analysis = this._globals[path];
+
+        (analysis && analysis.defines && analysis.reads && typeof analysis.defines === "object" &&
+            typeof analysis.reads === "object") && (linted[path] = analysis);
+    }, this);
+
+    modules = function (path) {
+        return Object.keys(sources[path] || {}).map(function (name) {
+            return sources[path][name];
+        });
+    };
+
+    // Only the globals of sources that define modules can be required.
+    Object.keys(linted).forEach(function (path) {
+        sources[path] && Object.keys(linted[path].defines).forEach(function (name) {
+            owners[name] = has(owners, name) ? null : path;
+        });
+    });
+
+    Object.keys(linted).forEach(function (path) {
+        var dependants = modules(path),
+            closure = this.closure(dependants.map(String)),
+            reported = {};
+
+        dependants.length && Object.keys(linted[path].reads).forEach(function (name) {
+            var owner = has(owners, name) && owners[name],
+                requirements;
+
+            if (!owner || owner === path || reported[owner]) {
+                return;
+            }
+            requirements = modules(owner);
+
+            // Requiring any module of the source, directly or otherwise, places the source before.
+            if (!requirements.some(function (module) {
+                return closure[module.name];
+            })) {
+                reported[owner] = true;
+                stat.undeclaredRequirements.push({
+                    module: dependants[0],
+                    require: requirements[0],
+                    name: name,
+                    source: path,
+                    line: linted[path].reads[name]
+                });
+            }
+        });
+    }, this);
+
+    // Requirements of which no global is read, unless the required source does not define any global at all.
+    stat.unusedRequirements = this.dependencies.filter(function (dependency) {
+        var source = dependency.module.source && pathUtil.resolve(dependency.module.source),
+            required = dependency.require.source && pathUtil.resolve(dependency.require.source),
+            defines;
+
+        if (dependency.optional || source === required || !has(linted, source) || !has(linted, required)) {
+            return false;
+        }
+        defines = Object.keys(linted[required].defines);
+        return defines.length > 0 && !defines.some(function (name) {
+            return has(linted[source].reads, name);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Grunt task for jslink. Registers the `jslink` multi-task that links the source files and directories of a target and
+ * writes the exports to the `dest` directory of the target. Task options are the same as command-line options.
+ *
+ * @module grunt
+ * @requires lib
+ * @requires jslink
+ *
+ * @example
+ * grunt.initConfig({
+ *     jslink: {
+ *         charts: {
+ *             options: { recursive: true, overwrite: true },
+ *             src: ["src/"],
+ *             dest: "out/"
+ *         }
+ *     }
+ * });
+ * grunt.loadNpmTasks("jslink");
+ */
+var SLASH = "/",
+
+    lib = require("./lib.js"),
+    jslink = require("./core.js");
+
+module.exports = function (grunt) {
+    grunt.registerMultiTask("jslink", "Concatenate source files with dependency trace", function () {
+        var done = this.async(),
+            options = this.options(),
+            destination;
+
+        options.source = this.filesSrc;
+
+        // The destination of the target is used as the output directory.
+        this.files.some(function (file) {
+            return (destination = file.dest);
+        });
+        if (destination) {
+            options.destination = destination.slice(-1) === SLASH ? destination : destination + SLASH;
+        }
+
+        jslink.build(options).then(function (result) {
+            result.outputs.forEach(function (output) {
+                grunt.log.writeln(lib.format("File {0} created.", output.path));
+            });
+            grunt.log.ok(lib.format("{0} with {1} processed for {2}.", lib.plural(result.stat.filesProcessed || 0,
+                "file"), lib.plural(result.stat.definedModules.length, "module"),
+                lib.plural(result.stat.numberOfExports, "export directive")));
+            done();
+        }, function (error) {
+            grunt.log.error(error.message);
+            done(false);
+        });
+    });
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Gulp plugin for jslink. The source files are read from the stream of files piped to the plugin and linked in memory.
+ * The plugin then emits one file per export target with the concatenated content of its sources (and a source map file
+ * if asked for.) Files that are required by path but are not part of the stream are read from the file-system.
+ *
+ * @module gulp
+ * @requires lib
+ * @requires collection
+ * @requires source
+ * @requires parsers
+ * @requires io
+ * @requires jslink
+ * @requires plugins
+ *
+ * @example
+ * var gulp = require("gulp"),
+ *     jslink = require("jslink");
+ *
+ * gulp.task("scripts", function () {
+ *     return gulp.src("src/**\/*.js")
+ *         .pipe(jslink.gulp({ exportMode: "closure" }))
+ *         .pipe(gulp.dest("out/"));
+ * });
+ */
+var PLUGIN_NAME = "jslink",
+    SOURCEMAP_EXTENSION = ".map",
+
+    fs = require("fs"),
+    pathUtil = require("path"),
+    stream = require("stream"),
+    lib = require("./lib.js"),
+    parsers = require("./parsers.js"),
+    moduleIO = require("./io.js"),
+    plugins = require("./plugins.js"),
+    jslink = require("./core.js"),
+
+    ModuleCollection = require("./collection.js"),
+    Source = require("./source.js");
+
+/**
+ * @param {object=} [options] - The same options as command-line. Sources come from the stream and nothing is written to
+ * the file-system.
+ * @returns {stream.Transform}
+ */
+module.exports = function (options) {
+    var transform = new stream.Transform({ objectMode: true }),
+        collection = new ModuleCollection(),
+        files = {},
+        template, // the first file from stream is used to create new files of the same kind.
+        read; // function
+
+    // Options are prepared as for any other build right away, since the defines and the directives of plugins are
+    // needed as soon as files arrive from the stream.
+    options = jslink.prepareOptions(options);
+
+    // Content of sources that came from the stream is used and others are read from the file-system.
+    read = function (path) {
+        return files.hasOwnProperty(path) ? files[path].contents : fs.readFileSync(path);
+    };
+
+    transform._transform = function (file, encoding, callback) {
+        var source;
+
+        if (file.isNull()) {
+            return callback();
+        }
+        if (file.isStream()) {
+            return callback(new Error(PLUGIN_NAME + ": Streaming file content is not supported."));
+        }
+
+        template = template || file;
+        files[file.path] = file;
+
+        try {
+            source = new Source(file.path, file.contents, options);
+            source.parseDirectives(parsers.directives, parsers.order, {
+                path: file.path,
+                collection: collection,
+                defines: options.defines
+            });
+            // Imports are linked along with the rest of the collection.
+            source.imports && ((collection._esModules = collection._esModules || {})[file.path] = source.imports);
+        }
+        catch (error) {
+            return callback(error instanceof Error ? error : new Error(error));
+        }
+        callback();
+    };
+
+    transform._flush = function (callback) {
+        var linked,
+            matrix;
+
+        // Without any file there is nothing to link.
+        if (!template) {
+            plugins.unload(options._plugins);
+            return callback();
+        }
+
+        try {
+            // Link in test mode and without the dependency map or manifest so that nothing gets written to the
+            // file-system.
+            linked = jslink.linkCollection(collection, lib.copy(lib.copy({}, options), {
+                source: [],
+                test: true,
+                exportmap: false,
+                manifest: false
+            }), read);
+            matrix = linked.matrix;
+            // Tokens are replaced with the values prepared while linking.
+            options.replacements = linked.replacements || false;
+
+            matrix.forEach(function (bundle) {
+                bundle.exports.forEach(function (target) {
+                    var path = pathUtil.join(template.base, target),
+                        result = moduleIO.concatenateSources(bundle.sources, path, options, read,
+                            moduleIO.exportTemplate(collection, target, options));
+
+                    // Creating files using the constructor of incoming files avoids depending on a specific version of
+                    // the file class used by Gulp.
+                    transform.push(new template.constructor({
+                        cwd: template.cwd,
+                        base: template.base,
+                        path: path,
+                        contents: Buffer.from(result.content)
+                    }));
+
+                    result.map && transform.push(new template.constructor({
+                        cwd: template.cwd,
+                        base: template.base,
+                        path: path + SOURCEMAP_EXTENSION,
+                        contents: Buffer.from(result.map.toString())
+                    }));
+                });
+            });
+        }
+        catch (error) {
+            return callback(error instanceof Error ? error : new Error(error));
+        }
+        finally {
+            plugins.unload(options._plugins);
+        }
+        callback();
+    };
+
+    return transform;
+};
\ No newline at end of file
@@ -6,12 +6,30 @@
  * @requires lib
  * @requires collection
  * @requires parsers
+ * @requires source
+ * @requires sourcemap
  */
 
-var DEFAULT_INCLUDE_PATTERN = /.+\.js$/,
+var E = "",
+    DOT = ".",
+    NEWLINE = "\n",
+    SOURCEMAP_EXTENSION = ".map",
+    DEFAULT_INCLUDE_PATTERN = /.+\.js$/,
     DEFAULT_EXCLUDE_PATTERN = /^$/,
     DEFAULT_DOT_FILENAME = "jslink.dot",
+    DEFAULT_HTML_FILENAME = "jslink.html",
+    HTML_TEMPLATE_FILENAME = "templates/exportmap.html",
+    HTML_TEMPLATE_TOKEN = "{{graph}}",
+    DEFAULT_MANIFEST_FILENAME = "jslink.json",
+    DEFAULT_COMMON_CHUNK_FILENAME = "common.js",
     DEFAULT_OUT_DESTINATION = "out/",
+    DEFAULT_EXPORT_MODE = "component",
+    CLOSURE_EXPORT_MODE = "closure",
+    WATCH_SETTLE_DELAY = 100, // milliseconds to wait for a burst of file changes to settle.
+    DEFAULT_EXPORT_TEMPLATE = "*", // name of the templates that apply to all export files.
+    TEMPLATE_TOKEN_PATTERN = /\{\{(\w+)\}\}/g,
+    TOKEN_PATTERN = /__([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*)__/g, // tokens such as __JSLINK_VERSION__ within sources.
+    WRAPPER_SETTINGS = ["wrap", "globals", "wrapExports", "wrapSources"], // options that export templates may override.
 
     fs = require("fs"),
     pathUtil = require("path"),
@@ -21,18 +39,282 @@ var DEFAULT_INCLUDE_PATTERN = /.+\.js$/,
 
     ModuleCollection = require("./collection.js"),
     Source = require("./source.js"),
+    SourceMap = require("./sourcemap.js"),
+    collectionToExportMatrix, // function
+    extractCommonChunk, // function
+    applyTemplate, // function
+    createWrapper, // function
+    replaceTokens, // function
     writeSerializedModules; // function
 
+/**
+ * Creates a 2d array of source files from a collection where each row represents the sources of one bundle that has to
+ * be exported to the files listed in its export directives. In `component` mode, every connected group of modules makes
+ * one bundle. In `closure` mode, every export file makes one bundle of the module that declared it, along with the
+ * modules it requires.
+ *
+ * @private
+ * @param {module:collection~ModuleCollection} collection
+ * @param {string=} [mode=component]
+ * @returns {Array<object>}
+ */
+collectionToExportMatrix = function (collection, mode) {
+    var serialized = collection.serialize(),
+        matrix = [],
+        ordered,
+        roots;
+
+    mode = mode || DEFAULT_EXPORT_MODE;
+
+    if (mode === CLOSURE_EXPORT_MODE) {
+        ordered = [];
+        roots = {};
+
+        // Flatten the connected groups into one topologically sorted list and note which modules declare which export.
+        serialized.forEach(function (modules) {
+            modules.forEach(function (module) {
+                ordered.push(module);
+                module.exports.forEach(function (target) {
+                    (roots[target] || (roots[target] = [])).push(module);
+                });
+            });
+        });
+
+        Object.keys(roots).forEach(function (target) {
+            var closure = collection.closure(roots[target]),
+                stack = [];
+
+            ordered.forEach(function (module) {
+                if (closure[module] && module.defined() && stack.indexOf(module.source) === -1) {
+                    stack.push(module.source);
+                }
+            });
+            matrix.push({
+                sources: stack,
+                exports: [target]
+            });
+        });
+
+        return matrix;
+    }
+    else if (mode !== DEFAULT_EXPORT_MODE) {
+        throw new Error(lib.format("Unknown export mode \"{0}\".", mode));
+    }
+
+    // Iterate on all set of connected module groups within the collection and create array of sourcefiles that
+    // contain these modules.
+    serialized.forEach(function (modules) {
+        var stack = [],
+            exports = [],
+            added = {}, // use this to check whether a source was already pushed in stack.
+            module,
+            i;
+
+        // Least likely, but module can end up having all disconnected empty subgraphs... don't know when though!
+        if (!modules.length) {
+            return;
+        }
+
+        i = modules.length;
+        while (i--) {
+            module = modules[i];
+            // We check if this module has any export directives and if so, add it for later. Every module of a source
+            // can have export directives of its own.
+            module.defined() && module.exports && (exports = exports.concat(module.exports));
+            // We would not add the same source twice and hence check the hash. Other modules of the group are still to
+            // be added.
+            if (added[module.source]) {
+                continue;
+            }
+            // Add to flag even if it is not defines, so that repeated checks are not needed.
+            added[module.source] = true;
+            // Add the module to export stack provided its source has been defined.
+            if (module.defined()) {
+                stack.unshift(module.source); // add it to stack
+            }
+        }
+        // Groups having only undefined modules have nothing to export.
+        stack.length && matrix.push({
+            sources: stack,
+            exports: exports
+        });
+    });
+
+    return matrix;
+};
+
+/**
+ * Moves the sources that are part of two or more bundles into a separate common export file. The export files
+ * that had sources moved out of them are marked to depend on the common export file using the `chunks` property of
+ * their bundle.
+ *
+ * @private
+ * @param {Array<object>} matrix
+ * @param {string} chunk - The file name of the common export.
+ * @returns {Array<object>} A new matrix with one bundle per export file and the common bundle at the end.
+ */
+extractCommonChunk = function (matrix, chunk) {
+    var bundles = [],
+        counts = {},
+        common = [];
+
+    // Split the bundles into one bundle per export file and count the number of bundles every source goes to. Export
+    // files of the same bundle share all their sources (as with the component export mode,) which are hence counted
+    // once. Else every such export file would end up empty with all its sources moved to the common export file.
+    matrix.forEach(function (bundle) {
+        bundle.sources.forEach(function (source) {
+            counts[source] = (counts[source] || 0) + 1;
+        });
+        bundle.exports.forEach(function (target) {
+            if (target === chunk) {
+                throw new Error(lib.format("Common chunk \"{0}\" is already an export target.", chunk));
+            }
+            bundles.push({
+                sources: bundle.sources,
+                exports: [target]
+            });
+        });
+    });
+
+    // Every bundle has its sources in dependency order and contains the requirements of its sources. As such, adding
+    // the common sources in the order they are first seen keeps them in dependency order too.
+    bundles.forEach(function (bundle) {
+        bundle.sources = bundle.sources.filter(function (source) {
+            if (counts[source] < 2) {
+                return true;
+            }
+            (common.indexOf(source) === -1) && common.push(source);
+            bundle.chunks = [chunk];
+            return false;
+        });
+    });
+
+    common.length && bundles.push({
+        sources: common,
+        exports: [chunk]
+    });
+
+    return bundles;
+};
+
+/**
+ * Replaces the `{{token}}` constructs within a template with the values of tokens. Unknown tokens are left as is. The
+ * result always ends with a new line so that the content that follows it starts on a line of its own.
+ *
+ * @private
+ * @param {string} template
+ * @param {object} tokens
+ * @returns {string}
+ */
+applyTemplate = function (template, tokens) {
+    template = String(template).replace(TEMPLATE_TOKEN_PATTERN, function ($glob, $1) {
+        return tokens.hasOwnProperty($1) ? tokens[$1] : $glob;
+    });
+    return (!template || template.slice(-1) === NEWLINE) ? template : template + NEWLINE;
+};
+
+/**
+ * Replaces the `__TOKEN__` constructs within the content of a source with the values of replacements. Tokens without a
+ * replacement are left as is.
+ *
+ * @private
+ * @param {string} text
+ * @param {object} replacements - Values keyed by the name of the token, without the surrounding underscores.
+ * @returns {string}
+ */
+replaceTokens = function (text, replacements) {
+    return text.replace(TOKEN_PATTERN, function ($glob, $1) {
+        return replacements.hasOwnProperty($1) ? String(replacements[$1]) : $glob;
+    });
+};
+
+/**
+ * Creates the code that goes before and after the content of an export file to wrap it in a module format. The globals
+ * map the parameters of the wrapper function to what they receive - a global expression for `iife` and the name of a
+ * module that is to be required otherwise. For `umd`, the same name is also read off the global object when the
+ * bundle is loaded without a module loader.
+ *
+ * @private
+ * @param {string} format - One of `iife`, `umd`, `amd` or `commonjs`.
+ * @param {object|Array<string>|string=} [globals] - Parameter to dependency mapping, as an object or `param=name`.
+ * @param {string=} [exports] - Name of the variable within the bundle that is the value of the module.
+ * @returns {{header: string, footer: string}}
+ */
+createWrapper = function (format, globals, exports) {
+    var params,
+        dependencies,
+        modules;
+
+    globals = lib.parseDefines(globals);
+    params = Object.keys(globals);
+    dependencies = params.map(function (param) {
+        return globals[param] === true ? param : String(globals[param]);
+    });
+    modules = dependencies.map(function (dependency) {
+        return JSON.stringify(dependency);
+    });
+
+    switch (format) {
+        case "iife":
+            return {
+                header: lib.format("{0}(function ({1}) {\n", exports ? "var " + exports + " = " : E, params.join(", ")),
+                footer: lib.format("{0}}({1}));\n", exports ? "return " + exports + ";\n" : E, dependencies.join(", "))
+            };
+
+        case "amd":
+            return {
+                header: lib.format("define([{0}], function ({1}) {\n", modules.join(", "), params.join(", ")),
+                footer: lib.format("{0}});\n", exports ? "return " + exports + ";\n" : E)
+            };
+
+        case "commonjs":
+            return {
+                header: params.map(function (param, index) {
+                    return lib.format("var {0} = require({1});\n", param, modules[index]);
+                }).join(E),
+                footer: exports ? lib.format("module.exports = {0};\n", exports) : E
+            };
+
+        case "umd":
+            return {
+                header: [
+                    "(function (root, factory) {",
+                    "    if (typeof define === \"function\" && define.amd) {",
+                    lib.format("        define([{0}], factory);", modules.join(", ")),
+                    "    }",
+                    "    else if (typeof module === \"object\" && module.exports) {",
+                    lib.format("        module.exports = factory({0});", modules.map(function (name) {
+                        return "require(" + name + ")";
+                    }).join(", ")),
+                    "    }",
+                    "    else {",
+                    lib.format("        {0}factory({1});", exports ? "root." + exports + " = " : E,
+                        modules.map(function (name) {
+                            return "root[" + name + "]";
+                        }).join(", ")),
+                    "    }",
+                    lib.format("}(this, function ({0}) {", params.join(", ")),
+                    E
+                ].join(NEWLINE),
+                footer: lib.format("{0}}));\n", exports ? "return " + exports + ";\n" : E)
+            };
+    }
+
+    throw new Error(lib.format("Unknown wrapper format \"{0}\".", format));
+};
+
 /**
  * Writes a 2d array of modules to a set of files with the module source contents.
  *
  * @param {Array<Array>} matrix
  * @param {string=} destination
  * @param {boolean=} overwrite
+ * @param {object=} [options]
+ * @param {boolean=} [options.sourceMap] - Write a source map alongside every export file.
+ * @param {module:collection~ModuleCollection=} [collection] - Provides the templates of the export files.
  */
-writeSerializedModules = function (matrix, destination, overwrite) {
-    var createTarget, // function
-        appendSource; // function
+writeSerializedModules = function (matrix, destination, overwrite, options, collection) {
+    var createTarget; // function
 
     // Validate the destination directory.
     destination = lib.writeableFolder(destination, DEFAULT_OUT_DESTINATION);
@@ -41,20 +323,18 @@ writeSerializedModules = function (matrix, destination, overwrite) {
         throw lib.format("Output destination is not a directory: \"{0}\"", destination);
     }
 
-    // Adds the content of source file to target file.
-    appendSource = function (sourceFileName) {
-        fs.appendFileSync(this[0], fs.readFileSync(sourceFileName));
-    };
-
-    // Create or empty the file name from the bunch of targets.
+    // Create or empty the file name from the bunch of targets and write the concatenated sources to it.
     createTarget = function (targetFileName) {
-        targetFileName = pathUtil.join(destination, targetFileName); // append destination to file name
-        lib.writeableFile(true, targetFileName, overwrite, false, true);
-        this.forEach(appendSource, [targetFileName]);
+        var path = pathUtil.join(destination, targetFileName), // append destination to file name
+            bundle = module.exports.concatenateSources(this, path, options, undefined, collection &&
+                module.exports.exportTemplate(collection, targetFileName, options));
+
+        fs.writeFileSync(lib.writeableFile(true, path, overwrite, false, true), bundle.content);
+        bundle.map && fs.writeFileSync(lib.writeableFile(true, path + SOURCEMAP_EXTENSION, overwrite, false, true),
+            bundle.map.toString());
     };
 
     matrix.forEach(function (bundle) {
-        // Create and append files separately to reduce spatial complexity.
         bundle.exports.forEach(createTarget, bundle.sources);
     });
 };
@@ -69,9 +349,14 @@ module.exports = {
      * @param {boolean=} [recurse]
      * @param {RegExp=|string=} [include]
      * @param {RegExp=|string=} [exclude]
+     * @param {object=} [defines] - Flags that satisfy the conditional directives within sources.
+     * @param {module:cache~SourceCache=} [cache] - Provides the comments of unchanged sources without parsing them.
+     * @param {object=} [parsing] - The `validateSyntax`, `lintGlobals`, `ecmaVersion`, `sourceType` and `esModules` to
+     * read sources with. Refer to {@link module:source~Source} for details. The imports of ES modules are linked only
+     * by {@link module:io.linkESModules}, once all sources are loaded.
      * @returns {module:collection~ModuleCollection}
      */
-    populateCollectionFromFS: function (collection, path, recurse, include, exclude) {
+    populateCollectionFromFS: function (collection, path, recurse, include, exclude, defines, cache, parsing) {
         // Ensure the patterns in paremeter are valid regular expression objects.
         !(include instanceof RegExp) && (include = DEFAULT_INCLUDE_PATTERN);
         !(exclude instanceof RegExp) && (exclude = DEFAULT_EXCLUDE_PATTERN);
@@ -80,6 +365,8 @@ module.exports = {
         collection._statFilesTotal = collection._statFilesTotal || 0;
         collection._statFilesProcessed = collection._statFilesProcessed || 0;
         collection._statFilesError = collection._statFilesError || 0;
+        collection._esModules = collection._esModules || {}; // imports of ES modules, to be linked once all are loaded.
+        collection._globals = collection._globals || {}; // globals of sources, when they are linted.
 
         // If path does not exist, it is an error
         if (!fs.existsSync(path)) {
@@ -112,12 +399,15 @@ module.exports = {
 
             // We increment the error counter here and would decrement later when all goes well.
             collection._statFilesError++;
-            source = new Source(path); // Generate AST.
+            source = cache ? cache.source(path, stat) : new Source(path, undefined, parsing);
 
             source.parseDirectives(parsers.directives, parsers.order, {
                 path: path,
-                collection: collection
+                collection: collection,
+                defines: defines
             });
+            source.imports ? (collection._esModules[path] = source.imports) : (delete collection._esModules[path]);
+            source.globals ? (collection._globals[path] = source.globals) : (delete collection._globals[path]);
 
             // Since we have reached here there wasn't any error parsing/reading the file and as such we decrement the
             // counter.
@@ -128,50 +418,415 @@ module.exports = {
         return collection;
     },
 
-    exportCollectionToFS: function (collection, destination, overwrite, testMode) {
-        var serialized = collection.serialize(),
-            matrix = [];
+    /**
+     * Connects the ES modules within a collection to the modules they import, as if the imports were requirements. An
+     * ES module that does not define any module of its own is added to the collection by its path. Files that are
+     * imported by a relative path are required by the modules they define or else as external module files - the same
+     * as requiring a file by its path does. Other imports are linked only when a module of the same name is
+     * defined within the collection. Linking again connects only what was not already connected.
+     *
+     * @param {module:collection~ModuleCollection} collection
+     * @returns {module:collection~ModuleCollection}
+     *
+     * @throws {Error} If an imported file does not exist.
+     */
+    linkESModules: function (collection) {
+        var imports = collection._esModules || {},
+            modules; // function
 
-        // Iterate on all set of connected module groups within the collection and create array of sourcefiles that
-        // contain these modules.
-        serialized.forEach(function (modules) {
-            var stack = [],
-                exports = [],
-                added = {}, // use this to check whether a source was already pushed in stack.
-                module,
-                i;
-
-            // Least likely, but module can end up having all disconnected empty subgraphs... don't know when though!
-            if (!modules.length) {
+        // Lists the modules defined by a source, adding the source by its path when it defines none.
+        modules = function (path) {
+            var defined = collection.sources[path] || {},
+                name = pathUtil.relative(DOT, path),
+                module;
+
+            if (Object.keys(defined).length) {
+                return Object.keys(defined).map(function (name) {
+                    return defined[name];
+                });
+            }
+            // The file may already be required by a script as an external module file.
+            module = collection.get(name, true);
+            return [module.defined() ? module : collection.add(name, path)];
+        };
+
+        Object.keys(imports).forEach(function (path) {
+            var importers;
+
+            // Sources that were removed since they were loaded no longer import anything.
+            if (!fs.existsSync(path)) {
+                delete imports[path];
                 return;
             }
+            importers = modules(path);
+
+            imports[path].forEach(function (item) {
+                var meta = {
+                        source: path,
+                        line: item.line
+                    },
+                    file,
+                    requirements;
+
+                if ((/^\.?\.\//).test(item.specifier)) {
+                    file = pathUtil.join(pathUtil.dirname(path), item.specifier);
+                    // Imports may leave out the extension of the file.
+                    (!fs.existsSync(file) || !fs.statSync(file).isFile()) && (file += ".js");
 
-            i = modules.length;
-            while (i--) {
-                module = modules[i];
-                // We would not add the same source twice and hence check the hash.
-                if (added[module.source]) {
-                    break;
+                    if (!fs.existsSync(file)) {
+                        throw new Error(lib.format("Imported module file not found: \"{0}\" at {1}:{2}", item.specifier,
+                            pathUtil.relative(DOT, path), item.line));
+                    }
+                    requirements = imports.hasOwnProperty(file) || collection.sources[file] ? modules(file) :
+                        [collection.get(pathUtil.relative(DOT, file), true)];
+                    // External module files are defined by their path, as they are by the requires directive.
+                    !requirements[0].defined() && requirements[0].define(file);
                 }
-                // Add to flag even if it is not defines, so that repeated checks are not needed.
-                added[module.source] = true;
-                // Add the module to export stack provided its source has been defined.
-                if (module.defined()) {
-                    stack.unshift(module.source); // add it to stack
-                    // We check if this module has any export directives and if so, add it for later.
-                    module.exports && (exports = exports.concat(module.exports));
+                else {
+                    requirements = collection.get(item.specifier);
+                    requirements = requirements && requirements.defined() ? [requirements] : [];
                 }
-            }
-            matrix.push({
-                sources: stack,
-                exports: exports
+
+                importers.forEach(function (module) {
+                    requirements.forEach(function (requirement) {
+                        (module !== requirement && !module.requires[requirement.name]) &&
+                            collection.connect(module, requirement.name, meta);
+                    });
+                });
             });
         });
 
+        return collection;
+    },
+
+    /**
+     * Exports the modules of a collection to files as specified by their export directives. By default, each export
+     * file contains the sources of all modules that are connected to the module declaring the export. With the
+     * `exportMode` option set to `closure`, each export file contains only the module declaring the export and the
+     * modules it requires.
+     *
+     * @param {module:collection~ModuleCollection} collection
+     * @param {string=} [destination]
+     * @param {boolean=} [overwrite]
+     * @param {boolean=} [testMode] - Prepare the export matrix without writing to the file-system.
+     * @param {Array<string>=} [targets] - Restricts writing to only these export files.
+     * @param {object=} [options] - Export settings such as `exportMode`, `commonChunk` and `sourceMap`.
+     * @returns {Array<object>} The export matrix with the sources and exports of every bundle. Bundles that depend on
+     * the common export file list it in their `chunks` property.
+     */
+    exportCollectionToFS: function (collection, destination, overwrite, testMode, targets, options) {
+        var matrix = collectionToExportMatrix(collection, options && options.exportMode);
+
+        // Sources repeated across export files are moved to a common export file, if asked for.
+        if (options && options.commonChunk) {
+            matrix = extractCommonChunk(matrix, options.commonChunk === true ? DEFAULT_COMMON_CHUNK_FILENAME :
+                lib.stringLike(options.commonChunk));
+        }
+
         // If test mode is true, we do not need to proceed further with exporting the files
         if (!testMode) {
-            writeSerializedModules(matrix, destination, overwrite);
+            writeSerializedModules(Array.isArray(targets) ? matrix.map(function (bundle) {
+                return {
+                    sources: bundle.sources,
+                    exports: bundle.exports.filter(function (target) {
+                        return targets.indexOf(target) !== -1;
+                    })
+                };
+            }) : matrix, destination, overwrite, options, collection);
+        }
+
+        return matrix;
+    },
+
+    /**
+     * Removes export files (along with their source maps) that an earlier export wrote to the destination, such as the
+     * ones that are no longer exported after a relink. Files that do not exist are skipped.
+     *
+     * @param {string=} [destination]
+     * @param {Array<string>} targets - Names of the export files to remove.
+     * @returns {Array<string>} The paths of the files removed.
+     */
+    removeExportsFromFS: function (destination, targets) {
+        var removed = [];
+
+        destination = (typeof destination === "string") ? destination : DEFAULT_OUT_DESTINATION;
+        targets.forEach(function (target) {
+            var path = pathUtil.resolve(destination, target);
+
+            [path, path + SOURCEMAP_EXTENSION].forEach(function (path) {
+                if (fs.existsSync(path) && fs.statSync(path).isFile()) {
+                    fs.unlinkSync(path);
+                    removed.push(path);
+                }
+            });
+        });
+
+        return removed;
+    },
+
+    /**
+     * Gets the templates to be applied while writing an export file. The templates can be provided along with the
+     * export directive as well as within the `exports` option, where they are keyed by the export file name (or by `*`
+     * to apply to all export files.) Templates within the option for the specific export file take precedence over the
+     * ones provided along with the export directive, which in turn take precedence over the ones for all export files.
+     *
+     * @param {module:collection~ModuleCollection} collection
+     * @param {string} target - The name of the export file.
+     * @param {object=} [options]
+     * @param {Object<object>=} [options.exports] - The templates of export files.
+     * @returns {module:io~exportTemplate}
+     */
+    exportTemplate: function (collection, target, options) {
+        var exports = options && options.exports || {},
+            template = lib.copy({}, exports[DEFAULT_EXPORT_TEMPLATE]),
+            declarer,
+            source,
+            name;
+
+        for (name in collection.modules) {
+            if (collection.modules[name].exports.indexOf(target) !== -1) {
+                declarer = collection.modules[name];
+                lib.copy(template, declarer.exportTemplates[target]);
+                break;
+            }
         }
+        lib.copy(template, exports[target]);
+
+        /**
+         * @typedef {object} module:io~exportTemplate
+         * @property {string=} [banner] - Written at the beginning of the export file.
+         * @property {string=} [footer] - Written at the end of the export file.
+         * @property {string=} [separator] - Written before the content of every source file.
+         * @property {string=} [wrap] - Overrides the wrapper format option for the export file, as do `globals`,
+         * `wrapExports` and `wrapSources`.
+         * @property {object} tokens - Values of the tokens that can be used within the templates.
+         * @property {Object<string>} modules - Names of the modules defined by every source file.
+         */
+        template.tokens = {
+            exportName: target,
+            version: declarer && declarer.version || E,
+            date: new Date().toISOString().slice(0, 10)
+        };
+        template.modules = {};
+        for (source in collection.sources) {
+            template.modules[source] = Object.keys(collection.sources[source]).join(", ");
+        }
+
+        return template;
+    },
+
+    /**
+     * Finds the `__TOKEN__` constructs within the content of source files and notes whether a replacement is known for
+     * each of them. Sources without any token are left out of the result.
+     *
+     * @param {Array<string>} sources
+     * @param {object} replacements - Values keyed by the name of the token, without the surrounding underscores.
+     * @param {function=} [read] - Returns the content of a source path. Sources are read from file-system by default.
+     * @returns {Object<Array<module:io~token>>} The tokens found, keyed by source path.
+     */
+    scanTokens: function (sources, replacements, read) {
+        var found = {};
+
+        read = read || fs.readFileSync;
+
+        sources.forEach(function (source) {
+            read(source).toString().split(NEWLINE).forEach(function (text, index) {
+                text.replace(TOKEN_PATTERN, function ($glob, $1) {
+                    /**
+                     * @typedef {object} module:io~token
+                     * @property {string} name - The name of the token, without the surrounding underscores.
+                     * @property {number} line
+                     * @property {boolean} known - Whether there is a replacement for the token.
+                     */
+                    (found[source] || (found[source] = [])).push({
+                        name: $1,
+                        line: index + 1,
+                        known: replacements.hasOwnProperty($1)
+                    });
+                    return $glob;
+                });
+            });
+        });
+
+        return found;
+    },
+
+    /**
+     * Concatenates the content of source files in the order provided, as it is to be written to an export file. When a
+     * source map is asked for, the content ends with a reference to the map file named after the export file.
+     *
+     * @param {Array<string>} sources
+     * @param {string} path - The export file path. Sources are mapped relative to it.
+     * @param {object=} [options]
+     * @param {boolean=} [options.sourceMap] - Prepare a source map for the concatenated content.
+     * @param {string=} [options.wrap] - Wrap the content in a module format, one of `iife`, `umd`, `amd` or `commonjs`.
+     * @param {object|Array<string>|string=} [options.globals] - Parameters of the wrapper and the dependencies they
+     * receive.
+     * @param {string=} [options.wrapExports] - Name of the variable within the content that is the value of the module.
+     * @param {boolean=} [options.wrapSources] - Wrap every source in a scope of its own.
+     * @param {string|boolean=} [options.strip] - Remove comments from sources, either the ones having `directives`,
+     * all `jsdoc` comments or all `comments`. Comments starting with `/*!` are preserved.
+     * @param {boolean=} [options.stripModuleSyntax] - Remove the `import` and `export` statements of ES modules so that
+     * the content is a plain script.
+     * @param {number|string=} [options.ecmaVersion] - The version of ECMAScript to parse ES modules as.
+     * @param {object=} [options.replacements] - Values of the `__TOKEN__` constructs to replace within sources.
+     * @param {function=} [read] - Returns the content of a source path. Sources are read from file-system by default.
+     * @param {module:io~exportTemplate=} [template] - The banner, footer and separator to write along with sources.
+     * @returns {{content: string, map: module:sourcemap~SourceMap=}}
+     */
+    concatenateSources: function (sources, path, options, read, template) {
+        var content = E,
+            settings,
+            wrapper,
+            strip,
+            map,
+            append; // function
+
+        options = options || {};
+        read = read || fs.readFileSync;
+        template = template || {};
+
+        // Settings of the export template take precedence over the options for wrapping the content.
+        settings = {};
+        WRAPPER_SETTINGS.forEach(function (name) {
+            settings[name] = template.hasOwnProperty(name) ? template[name] : options[name];
+        });
+        settings.wrap && (wrapper = createWrapper(settings.wrap, settings.globals, settings.wrapExports));
+        // Stripping without a mode removes only the comments having directives.
+        strip = options.strip === true ? "directives" : options.strip;
+
+        options.sourceMap && (map = new SourceMap(pathUtil.basename(path)));
+
+        // Generated content is accounted for within the map so that the sources that follow are mapped correctly.
+        append = function (text) {
+            content += text;
+            map && map.addContent(text);
+        };
+
+        // The banner stays outside the wrapper so that license comments remain at the top of the file.
+        template.banner && append(applyTemplate(template.banner, template.tokens || {}));
+        wrapper && append(wrapper.header);
+
+        sources.forEach(function (source) {
+            var text = read(source).toString();
+
+            options.stripModuleSyntax && (text = new Source(source, text, {
+                esModules: true,
+                ecmaVersion: options.ecmaVersion
+            }).stripModuleSyntax());
+            strip && (text = new Source(source, text).strip(strip, parsers.directives));
+            options.replacements && (text = replaceTokens(text, options.replacements));
+
+            template.separator && append(applyTemplate(template.separator, lib.copy({
+                module: template.modules && template.modules[source] || E,
+                source: pathUtil.relative(DOT, source)
+            }, template.tokens)));
+
+            settings.wrapSources && append("(function () {\n");
+            content += text;
+            map && map.addSource(pathUtil.relative(pathUtil.dirname(path), source), text);
+
+            // A file without a trailing new line would otherwise merge into the one that follows.
+            (text && text.slice(-1) !== NEWLINE) && append(NEWLINE);
+            settings.wrapSources && append("}());\n");
+        });
+
+        wrapper && append(wrapper.footer);
+        template.footer && append(applyTemplate(template.footer, template.tokens || {}));
+
+        // Point to the source map from the end of the content.
+        if (map) {
+            content += lib.format("{0}//# sourceMappingURL={1}{2}\n", (!content || content.slice(-1) === NEWLINE) ? E :
+                NEWLINE, map.file, SOURCEMAP_EXTENSION);
+        }
+
+        return {
+            content: content,
+            map: map
+        };
+    },
+
+    /**
+     * Watches source locations for files being added, changed or removed. Changes that happen in quick succession
+     * are batched together and sent to the callback as a list of affected paths.
+     *
+     * @param {Array<string>} paths
+     * @param {boolean=} [recurse]
+     * @param {function} callback - Receives the array of changed paths.
+     * @returns {function} Calling this stops all watchers.
+     */
+    watchSourcesOnFS: function (paths, recurse, callback) {
+        var watchers = {},
+            changed = {},
+            timer,
+            watchDirectory, // function
+            notify; // function
+
+        // Sends the accumulated list of changed paths once the file-system has settled.
+        notify = function (path) {
+            changed[path] = true;
+            clearTimeout(timer);
+            timer = setTimeout(function () {
+                var paths = Object.keys(changed);
+                changed = {};
+                callback(paths);
+            }, WATCH_SETTLE_DELAY);
+        };
+
+        watchDirectory = function (directory) {
+            // Hidden directories are never read as source and so need not be watched.
+            if (watchers[directory] || lib.isUnixHiddenPath(directory)) {
+                return;
+            }
+
+            watchers[directory] = fs.watch(directory, function (event, fileName) {
+                var path;
+
+                if (!fileName) {
+                    return;
+                }
+                path = pathUtil.join(directory, fileName.toString());
+
+                // New directories need to be watched as well when recursing. Files within them are reported too.
+                if (recurse && fs.existsSync(path) && fs.statSync(path).isDirectory()) {
+                    walkdir.sync(path, function (path, stat) {
+                        stat.isDirectory() ? watchDirectory(path) : notify(path);
+                    });
+                    watchDirectory(path);
+                    return;
+                }
+                notify(path);
+            });
+        };
+
+        paths.forEach(function (path) {
+            // If path does not exist, it is an error
+            if (!fs.existsSync(path)) {
+                throw new Error(lib.format("Source path \"{0}\" does not exist or is not readable.", path));
+            }
+
+            // Individual files are watched by themselves and reported using the path as provided.
+            if (!fs.statSync(path).isDirectory()) {
+                watchers[path] = fs.watch(path, function () {
+                    notify(path);
+                });
+                return;
+            }
+
+            path = pathUtil.resolve(path);
+            watchDirectory(path);
+            recurse && walkdir.sync(path, function (path, stat) {
+                stat.isDirectory() && watchDirectory(path);
+            });
+        });
+
+        return function () {
+            clearTimeout(timer);
+            for (var path in watchers) {
+                watchers[path].close();
+            }
+            watchers = {};
+        };
     },
 
     /**
@@ -199,6 +854,104 @@ module.exports = {
         // Thankfully, the dot file is generated by the collection's toString method itself.
         fs.writeFileSync(path, collection.toString());
         return collection;
+    },
+
+    /**
+     * Export the dependency map of a collection as a self-contained HTML page that can be viewed offline. The page lays
+     * out the modules by the depth of their requirements, groups them by source directory and allows searching for
+     * modules and highlighting everything a module transitively requires or is required by.
+     *
+     * @param {module:collection~ModuleCollection} collection
+     * @param {string} path
+     * @param {boolean=} [overwrite]
+     * @returns {module:collection~ModuleCollection}
+     */
+    writeCollectionToHTML: function (collection, path, overwrite) {
+        var graph = {
+                modules: []
+            },
+            module;
+
+        // Get the final path to the export file.
+        path = lib.writeableFile(path, DEFAULT_HTML_FILENAME, overwrite, true);
+
+        // Ensure that the output file is not one of the input files!
+        if (collection.sources[path]) {
+            throw new Error("The html output file path overwrites input files!");
+        }
+
+        // In case overwriting is disabled, we check whether the html file already exists or not.
+        if ((overwrite === false) && fs.existsSync(path)) {
+            throw new Error(lib.format("Cannot overwrite \"{0}\".", path));
+        }
+
+        for (module in collection.modules) {
+            module = collection.modules[module].toJSON();
+            module.source = module.source && pathUtil.relative(DOT, module.source);
+            graph.modules.push(module);
+        }
+
+        // The graph is embedded as script, so closing tags within module names must not end the script block.
+        fs.writeFileSync(path, fs.readFileSync(pathUtil.join(__dirname, HTML_TEMPLATE_FILENAME)).toString()
+            .replace(HTML_TEMPLATE_TOKEN, function () {
+                return JSON.stringify(graph).replace(/<\//g, "<\\/");
+            }));
+        return collection;
+    },
+
+    /**
+     * Export a machine-readable JSON description of the collection and the export files created out of it. Every module
+     * is described with its source, requirements, dependants, export directives and the index of the connected group
+     * it belongs to. Every export file is described with its ordered list of sources. All paths are relative to the
+     * current working directory.
+     *
+     * @param {module:collection~ModuleCollection} collection - The collection after it has been serialised.
+     * @param {Array<object>} matrix - The export matrix as returned by `exportCollectionToFS`.
+     * @param {string} path
+     * @param {boolean=} [overwrite]
+     * @returns {module:collection~ModuleCollection}
+     */
+    writeCollectionToManifest: function (collection, matrix, path, overwrite) {
+        var relative = function (source) {
+                return source && pathUtil.relative(DOT, source);
+            },
+            manifest = {
+                modules: [],
+                exports: []
+            },
+            module;
+
+        // Get the final path to the manifest file.
+        path = lib.writeableFile(path, DEFAULT_MANIFEST_FILENAME, overwrite, true);
+
+        // Ensure that the output file is not one of the input files!
+        if (collection.sources[path]) {
+            throw new Error("The manifest output file path overwrites input files!");
+        }
+
+        // In case overwriting is disabled, we check whether the manifest file already exists or not.
+        if ((overwrite === false) && fs.existsSync(path)) {
+            throw new Error(lib.format("Cannot overwrite \"{0}\".", path));
+        }
+
+        for (module in collection.modules) {
+            module = collection.modules[module].toJSON();
+            module.source = relative(module.source);
+            manifest.modules.push(module);
+        }
+
+        matrix.forEach(function (bundle) {
+            bundle.exports.forEach(function (target) {
+                manifest.exports.push({
+                    name: target,
+                    sources: bundle.sources.map(relative),
+                    chunks: bundle.chunks || []
+                });
+            });
+        });
+
+        fs.writeFileSync(path, JSON.stringify(manifest, null, 2));
+        return collection;
     }
 };
 
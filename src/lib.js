@@ -139,6 +139,44 @@ module.exports = lib = /** @lends module:lib */ {
         return (/(^|.\/)\.+[^\/\.]/g).test(path);
     },
 
+    /**
+     * Checks whether a path has wildcards (`*`, `**` or `?`) that are to be matched against file paths.
+     *
+     * @param {string} path
+     * @returns {boolean}
+     */
+    isGlobPattern: function (path) {
+        return (/[\*\?]/).test(path);
+    },
+
+    /**
+     * Converts a glob pattern to a regular expression that matches paths using `/` as separator. A `*` matches any
+     * part of a file or folder name, `?` matches one character of it and `**` matches any number of nested folders.
+     *
+     * @param {string} pattern
+     * @returns {RegExp}
+     *
+     * @example
+     * lib.globToRegExp("vendor/*.js").test("vendor/jquery.js"); // true
+     * lib.globToRegExp("locales/**").test("locales/en/strings.js"); // true
+     */
+    globToRegExp: function (pattern) {
+        return new RegExp("^" + pattern.split(/(\*\*\/?|\*|\?)/).map(function (part) {
+            switch (part) {
+                case "**/":
+                    return "(?:.*/)?";
+                case "**":
+                    return ".*";
+                case "*":
+                    return "[^/]*";
+                case "?":
+                    return "[^/]";
+                default:
+                    return part.replace(/[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g, "\\$&");
+            }
+        }).join("") + "$");
+    },
+
     /**
      * Tests whether a path is a directory or possibly a file reference.
      *
@@ -222,7 +260,35 @@ module.exports = lib = /** @lends module:lib */ {
      * @returns {RegExp}
      */
     getDirectivePattern: function (directive) {
-        return new RegExp(lib.format("\\@{0}\\s*([^\\@\\r\\n]*)", directive), "ig");
+        return new RegExp(lib.format("\\@{0}(?![\\w\\-])\\s*([^\\@\\r\\n]*)", directive), "ig");
+    },
+
+    /**
+     * Converts a list of definitions in `KEY` or `KEY=value` format (usually from CLI) to an object of keys and values.
+     * Keys without a value are set to boolean `true`. Objects are returned as is.
+     *
+     * @param {Array<string>|string|object=} [defines]
+     * @returns {object}
+     */
+    parseDefines: function (defines) {
+        var out = {};
+
+        if (defines && (typeof defines === OBJECT) && !Array.isArray(defines)) {
+            return defines;
+        }
+
+        (defines ? [].concat(defines) : []).forEach(function (define) {
+            var separator;
+
+            if (typeof define !== STRING || !(define = define.trim())) {
+                return;
+            }
+            separator = define.indexOf("=");
+            (separator === -1) ? (out[define] = true) :
+                (out[define.slice(0, separator).trim()] = define.slice(separator + 1));
+        });
+
+        return out;
     },
 
     /**
@@ -243,8 +309,8 @@ module.exports = lib = /** @lends module:lib */ {
         }
 
         // Validate type parameter
-        if (!type || type.test !== FUNCTION) {
-            type = /./g;
+        if (!type || typeof type.test !== FUNCTION) {
+            type = /./;
         }
 
         // Concatenate object keys and reference. Reference first and the prepare the final order array.
@@ -4,58 +4,255 @@
  */
 
 var DOT = ".",
+    SLASH = "/",
+    NEGATION = "!",
     pathUtil = require("path"),
     fs = require("fs"),
-    lib = require("./lib.js");
+    walkdir = require("walkdir"),
+    semver = require("semver"),
+    lib = require("./lib.js"),
+    testCondition, // function
+    expandGlobPattern, // function
+    extractTemplate; // function
+
+/**
+ * Checks whether a condition flag is satisfied by the defined flags. A flag prefixed with `!` is satisfied when it is
+ * not defined.
+ *
+ * @private
+ * @param {string} condition
+ * @param {object=} [defines]
+ * @returns {boolean}
+ */
+testCondition = function (condition, defines) {
+    var negate = condition.charAt() === NEGATION;
+
+    negate && (condition = condition.slice(1).trim());
+    return negate !== Boolean(defines && defines.hasOwnProperty(condition));
+};
+
+/**
+ * Lists all files that match a glob pattern. The folders are walked from the deepest folder of the pattern that does
+ * not have any wildcard. Hidden files are not listed and the list is sorted so that the expansion is the same every
+ * time.
+ *
+ * @private
+ * @param {string} pattern
+ * @returns {Array<string>}
+ */
+expandGlobPattern = function (pattern) {
+    var segments = pattern.split(/[\/\\]/),
+        base = [],
+        matcher,
+        files = [];
+
+    while (segments.length > 1 && !lib.isGlobPattern(segments[0])) {
+        base.push(segments.shift());
+    }
+    base = base.join(SLASH) || DOT;
+    matcher = lib.globToRegExp(segments.join(SLASH));
+
+    if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+        return files;
+    }
+
+    walkdir.sync(base, {
+        /*jshint camelcase: false */// turn off since walkdir is 3rd-party.
+        no_return: true
+        /*jshint camelcase: true */
+    }, function (path, stat) {
+        // Paths are matched relative to the base and always use slash as separator.
+        path = pathUtil.relative(base, path);
+        if (stat.isFile() && !lib.isUnixHiddenPath(path) && matcher.test(path.split(pathUtil.sep).join(SLASH))) {
+            files.push(pathUtil.join(base, path));
+        }
+    });
+
+    return files.sort();
+};
+
+/**
+ * Extracts the JSON object of a template from the text of a comment block, up to the brace that closes the object. The
+ * object may span lines, in which case the asterisks that decorate the lines of the comment block are left out.
+ *
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+extractTemplate = function (text) {
+    var start,
+        depth = 0,
+        quoted = false,
+        char,
+        i;
+
+    text = text.replace(/(\r\n|[\n\r])[ \t]*\*/g, "$1");
+    start = text.indexOf("{");
+
+    for (i = start; start !== -1 && i < text.length; i++) {
+        char = text.charAt(i);
+        if (quoted) {
+            (char === "\\") ? i++ : (quoted = (char !== "\""));
+        }
+        else if (char === "\"") {
+            quoted = true;
+        }
+        else if (char === "{") {
+            depth++;
+        }
+        else if (char === "}" && !--depth) {
+            return text.slice(start, i + 1);
+        }
+    }
+    // An object without its closing brace is left for the JSON parser to report.
+    return text.slice(start).trim();
+};
 
 module.exports = {
-    order: [],
+    // Conditions need to be evaluated before anything else is parsed from a comment block.
+    order: ["if"],
 
     /**
      * List of directives that would be parsed.
      */
     directives: {
-        // This function is passed to the replacer function to excavate the module name from the module
-        // definition line and then add it to the collection.
-        "module": function (ns, name) {
-            return this.collection.add(name, this.path);
+        // This function is passed to the replacer function to excavate the module name (and the optional version
+        // that follows it) from the module definition line and then add it to the collection.
+        "module": function (ns, value) {
+            var tokens = value.split(/\s+/);
+
+            // Modules guarded by a condition that is not satisfied are not added to the collection.
+            if (ns["if"] === false) {
+                return;
+            }
+            // Text that follows the name is a version only when it is one. Otherwise it is a description of the module.
+            return this.collection.add(tokens[0], this.path, semver.valid(tokens[1]) ? tokens[1] : undefined);
         },
 
-        // Adds dependency relations.
-        "requires": function (ns, dependency) {
-            var extern;
+        // Adds an alternate name by which the module of this comment block can be required.
+        "provides": function (ns, alias) {
+            ns.module && this.collection.provide(ns.module, alias);
+        },
+
+        // Evaluates the condition flag of a comment block. All conditions of a block need to be satisfied for the
+        // block to be parsed.
+        "if": function (ns, condition) {
+            return ns["if"] !== false && testCondition(condition, this.defines);
+        },
+
+        // Adds dependency relations. The module name may be followed by the range of versions that is acceptable.
+        "requires": function (ns, value) {
+            var tokens = value.split(/\s+/),
+                dependency = tokens.shift(),
+                meta,
+                files;
 
             // If module was not parsed, no need to proceed.
             if (!ns.module) {
                 return;
             }
 
-            // While adding dependency, check whether it is a third-party external file
+            // Note where the dependency was declared.
+            meta = {
+                source: this.path,
+                line: this.line,
+                range: tokens.join(" ") || undefined
+            };
+
+            // While adding dependency, check whether it is a third-party external file (or a pattern of files.)
             if (/^\.?\.\/.*[^\/]$/.test(dependency)) {
                 // We build the relative path to the dependant module and check if file exists.
                 // Module is anyway defined here!
                 dependency = pathUtil.join(pathUtil.dirname(ns.module.source), dependency);
 
+                if (lib.isGlobPattern(dependency)) {
+                    // A pattern may match the file of the dependant module itself, which is not a requirement.
+                    files = expandGlobPattern(dependency).filter(function (file) {
+                        return pathUtil.resolve(file) !== pathUtil.resolve(ns.module.source);
+                    });
+
+                    if (!files.length) {
+                        throw new Error(lib.format("No external module file matches: \"{0}\"", dependency));
+                    }
+                }
                 // If the file does not exist, we raise an error.
-                if (!fs.existsSync(dependency)) {
+                else if (!fs.existsSync(dependency)) {
                     throw new Error (lib.format("External module file not found: \"{0}\"", dependency));
                 }
 
-                // Now that we have an absolute module file name, we check whether it is already defined. If
-                // not, we do so.
-                (!(extern = this.collection.get(pathUtil.relative(DOT, dependency), true)).defined()) &&
-                    extern.define(dependency);
-                // Set the module name to the relative value so as not to output full path in report.
-                dependency = pathUtil.relative(DOT, dependency);
+                (files || [dependency]).forEach(function (file) {
+                    var extern;
+
+                    // Now that we have an absolute module file name, we check whether it is already defined. If
+                    // not, we do so.
+                    (!(extern = this.collection.get(pathUtil.relative(DOT, file), true)).defined()) &&
+                        extern.define(file);
+                    // Use the relative path as module name so as not to output full path in report.
+                    this.collection.connect(ns.module, pathUtil.relative(DOT, file), meta);
+                }, this);
+                return;
             }
-            // Connect the modules in collection
-            this.collection.connect(ns.module, dependency);
+
+            // Connect the modules in collection.
+            this.collection.connect(ns.module, dependency, meta);
+        },
+
+        // Adds a dependency relation that is linked only when the required module is defined somewhere.
+        "requires-optional": function (ns, value) {
+            var tokens = value.split(/\s+/);
+
+            ns.module && this.collection.connect(ns.module, tokens.shift(), {
+                source: this.path,
+                line: this.line,
+                range: tokens.join(" ") || undefined,
+                optional: true
+            });
+        },
+
+        // Adds an ordering hint to place the module after another module whenever both are linked together.
+        "after": function (ns, name) {
+            ns.module && ns.module.follow(name, {
+                source: this.path,
+                line: this.line
+            });
+        },
+
+        // Adds dependency relation only when the condition flag that precedes the module name is satisfied.
+        "requires-if": function (ns, value) {
+            var tokens = value.split(/\s+/);
+
+            if (tokens.length < 2) {
+                throw new Error(lib.format("Conditional requirement needs a flag and a module: \"{0}\" in {1}", value,
+                    this.path));
+            }
+
+            testCondition(tokens.shift(), this.defines) &&
+                module.exports.directives.requires.call(this, ns, tokens.join(" "));
         },
 
         // This function searches whether the module definition has any export directive. This is defined here
-        // to avoid repeated definition within loop.
-        "export": function (ns, exportPath) {
-            ns.module && ns.module.addExport(exportPath);
+        // to avoid repeated definition within loop. The export file name can be followed by a JSON object having the
+        // banner, footer and separator templates of the export file, which may span lines of the comment block.
+        "export": function (ns, value, context) {
+            var tokens = value.match(/^(\S+)\s*([\s\S]*)$/),
+                template;
+
+            if (!ns.module) {
+                return;
+            }
+
+            if (tokens[2]) {
+                // The value of a directive ends at a new line or `@`, either of which the template may well have.
+                (/^\{/).test(tokens[2]) && context && context.text && (tokens[2] = extractTemplate(context.text));
+                try {
+                    template = JSON.parse(tokens[2]);
+                }
+                catch (err) {
+                    throw new Error(lib.format("Invalid export template of \"{0}\" in {1}:{2}\n{3}", tokens[1],
+                        this.path, this.line, err.message));
+                }
+            }
+            ns.module.addExport(tokens[1], template);
         }
     }
 };
\ No newline at end of file
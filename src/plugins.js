@@ -0,0 +1,197 @@
+/**
+ * Plugins extend jslink without having to fork it. A plugin is a module that exports an object with any of the
+ * following properties:
+ *
+ * - `directives` - Handlers of new directives keyed by their names. A handler is called for every occurrence of its
+ *   directive within a doc-comment with the namespace of the comment block (values returned by the handlers of other
+ *   directives of the block, such as `ns.module`,) the value of the directive and the context of the directive -
+ *   `{collection, source, line, defines, text}`. The value ends at a new line or `@` while `text` has the rest of the
+ *   comment block from the value onwards. Whatever the handler returns is available to the handlers that follow.
+ * - `order` - Names of the directives that need to be parsed before all others within a comment block.
+ * - `analysers` - Functions that add to the statistics of a collection. Each is called with the collection as `this`
+ *   and the stat object as argument.
+ * - `beforeExport` - Called with the collection and options before anything is exported. Throwing stops linking.
+ * - `afterExport` - Called with the collection, the export matrix and options after everything is exported.
+ *
+ * @module plugins
+ * @requires lib
+ * @requires collection
+ * @requires parsers
+ *
+ * @example
+ * // jslink-category.js - to be used as `jslink src/ --plugin=jslink-category.js`
+ * module.exports = {
+ *     directives: {
+ *         category: function (ns, value, context) {
+ *             ns.module && (ns.module.category = value);
+ *         }
+ *     },
+ *     analysers: [function (stat) {
+ *         stat.uncategorisedModules = stat.definedModules.filter(function (module) {
+ *             return !module.category;
+ *         });
+ *     }]
+ * };
+ */
+
+var STRING = "string",
+    HOOKS = ["beforeExport", "afterExport"],
+
+    pathUtil = require("path"),
+    lib = require("./lib.js"),
+    parsers = require("./parsers.js"),
+    ModuleCollection = require("./collection.js"),
+
+    registered = [], // plugins that are already registered, so that registering again has no effect.
+    additions = [], // what each registered plugin added, so that it can be removed when unregistered.
+    hooks = {};
+
+HOOKS.forEach(function (stage) {
+    hooks[stage] = [];
+});
+
+module.exports = {
+    /**
+     * Registers a plugin with jslink. Registering the same plugin more than once has no effect.
+     *
+     * @param {object} plugin
+     * @param {string=} [name] - Name of the plugin to refer to within errors.
+     * @returns {boolean} Whether the plugin was not registered before.
+     */
+    register: function (plugin, name) {
+        var added = {
+                order: [],
+                hooks: {}
+            },
+            directive;
+
+        if (!plugin || typeof plugin !== "object") {
+            throw new Error(lib.format("Plugin {0} is not an object.", name || plugin));
+        }
+        if (registered.indexOf(plugin) !== -1) {
+            return false;
+        }
+        name = name || "plugin";
+
+        // Built-in directives cannot be replaced, else the behaviour of linking would change without any notice.
+        for (directive in plugin.directives) {
+            if (parsers.directives.hasOwnProperty(directive)) {
+                throw new Error(lib.format("Directive @{0} of {1} is already defined.", directive, name));
+            }
+            if (typeof plugin.directives[directive] !== "function") {
+                throw new Error(lib.format("Directive @{0} of {1} is not a function.", directive, name));
+            }
+        }
+
+        for (directive in plugin.directives) {
+            parsers.directives[directive] = plugin.directives[directive];
+        }
+        plugin.order && [].concat(plugin.order).forEach(function (directive) {
+            if (parsers.order.indexOf(directive) === -1) {
+                parsers.order.push(directive);
+                added.order.push(directive);
+            }
+        });
+        plugin.analysers && [].concat(plugin.analysers).forEach(function (analyser) {
+            ModuleCollection.analysers.push(analyser);
+        });
+        HOOKS.forEach(function (stage) {
+            plugin[stage] && hooks[stage].push((added.hooks[stage] = plugin[stage].bind(plugin)));
+        });
+
+        registered.push(plugin);
+        additions.push(added);
+        return true;
+    },
+
+    /**
+     * Removes the directives, analysers and hooks that a plugin added when it was registered. Unregistering a plugin
+     * that is not registered has no effect.
+     *
+     * @param {object} plugin
+     */
+    unregister: function (plugin) {
+        var index = registered.indexOf(plugin),
+            added,
+            remove; // function
+
+        if (index === -1) {
+            return;
+        }
+        added = additions[index];
+
+        remove = function (list, item) {
+            list.indexOf(item) !== -1 && list.splice(list.indexOf(item), 1);
+        };
+
+        Object.keys(plugin.directives || {}).forEach(function (directive) {
+            parsers.directives[directive] === plugin.directives[directive] && (delete parsers.directives[directive]);
+        });
+        added.order.forEach(function (directive) {
+            remove(parsers.order, directive);
+        });
+        plugin.analysers && [].concat(plugin.analysers).forEach(function (analyser) {
+            remove(ModuleCollection.analysers, analyser);
+        });
+        Object.keys(added.hooks).forEach(function (stage) {
+            remove(hooks[stage], added.hooks[stage]);
+        });
+
+        registered.splice(index, 1);
+        additions.splice(index, 1);
+    },
+
+    /**
+     * Loads plugins from a list of module paths and registers them. Paths starting with a `.` are relative to the
+     * current working directory while others are required as installed packages. Plugin objects within the list are
+     * registered as they are.
+     *
+     * @param {Array<string|object>|string=} [plugins]
+     * @returns {Array<object>} The plugins that were not registered before, to be passed on to `unload` once done.
+     */
+    load: function (plugins) {
+        var loaded = [];
+
+        (plugins ? [].concat(plugins) : []).forEach(function (plugin) {
+            var name = plugin;
+
+            if (typeof plugin === STRING) {
+                try {
+                    plugin = require((/^\./).test(plugin) ? pathUtil.resolve(plugin) : plugin);
+                }
+                catch (error) {
+                    throw new Error(lib.format("Unable to load plugin \"{0}\".\n> {1}", name, error.message));
+                }
+                name = lib.format("plugin \"{0}\"", name);
+            }
+
+            module.exports.register(plugin, typeof name === STRING ? name : undefined) && loaded.push(plugin);
+        });
+        return loaded;
+    },
+
+    /**
+     * Unregisters the plugins returned by `load`.
+     *
+     * @param {Array<object>=} [plugins]
+     */
+    unload: function (plugins) {
+        (plugins || []).forEach(function (plugin) {
+            module.exports.unregister(plugin);
+        });
+    },
+
+    /**
+     * Calls the hooks of all registered plugins for a stage of linking.
+     *
+     * @param {string} stage - Either `beforeExport` or `afterExport`.
+     * @param {...*} args - Arguments to pass on to the hooks.
+     */
+    trigger: function (stage) {
+        var args = Array.prototype.slice.call(arguments, 1);
+
+        hooks[stage].forEach(function (hook) {
+            hook.apply(undefined, args);
+        });
+    }
+};
\ No newline at end of file
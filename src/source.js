@@ -1,24 +1,311 @@
 /**
- * Source file parser. Allows managed parsing of source files using AST.
+ * Source file parser. Allows managed parsing of source files using AST. By default, sources are only scanned for their
+ * comments, which is much faster than parsing them. The complete syntax tree is parsed (as any version of ECMAScript
+ * up to the latest) only when the syntax is to be validated, the globals are to be linted or when the source is an ES
+ * module.
  *
  * @module source
  * @requires lib
+ * @requires globals
  */
 
 var E = "",
     BLOCK = "Block",
+    LINE = "Line",
     ASTERISK = "*",
+    EXCLAMATION = "!",
     SPC = " ",
+    NEWLINE = "\n",
+    DEFAULT_ECMA_VERSION = "latest",
+    DEFAULT_SOURCE_TYPE = "script",
+    SOURCE_TYPES = /^(?:script|module)$/,
+    // Words after which a slash starts a regular expression rather than being a division.
+    EXPRESSION_KEYWORDS = /^(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/,
+    // Words whose parenthesised condition is followed by a statement, which may well start with a regular expression.
+    CONTROL_KEYWORDS = /^(?:if|while|for|with)$/,
+    // Tokens after which a brace starts a block rather than an object literal, even where an expression may start.
+    BLOCK_PRECEDERS = /^(?:|\)|;|\{|\}|=>|else|do|try|finally)$/,
+    LINE_TERMINATOR = /\r\n|[\n\r\u2028\u2029]/g,
+    WORD = /[\w$\\\u0080-\uffff]/,
+    MODULE = "module",
+    // Statements that only an ES module may have - `import` or `export` followed by a brace, an asterisk, a name or
+    // (for imports) a string. Dynamic `import()`, `import.meta` and keys of object literals are allowed within scripts.
+    MODULE_SYNTAX = /^[ \t]*(?:import(?:\s*[{*"']|\s+[A-Za-z_$])|export(?:\s*[{*]|\s+[A-Za-z_$]))/m,
+    // Statements of an ES module that refer to other modules.
+    MODULE_DEPENDENCY = /^(?:ImportDeclaration|ExportAllDeclaration|ExportNamedDeclaration)$/,
 
     lib = require("./lib.js"),
     fs = require("fs"),
-    esprima = require("esprima"),
-    esprimaOptions = {
-        comment: true,
-        range: true
-    },
+    acorn = require("acorn"),
+    globals = require("./globals.js"),
+    scanComments, // function
+    parse, // function
     Source; // constructor
 
+/**
+ * Extracts the comments of a source without parsing its syntax. The scanner skips over strings, regular expressions
+ * and template literals (including the expressions within them) so that comment-like content within them is not
+ * mistaken for comments. Whether a slash starts a regular expression or is a division is known from the token before
+ * it - a division follows an operand (such as a name, a number, a closing bracket or a postfix increment) while a
+ * regular expression follows an operator, a keyword or the condition of a control statement. The comments are of the
+ * same form as the ones collected by the parser.
+ *
+ * @private
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+scanComments = function (text) {
+    var comments = [],
+        lineStarts = [0],
+        templates = [], // brace depths at which the expressions within template literals end.
+        parens = [], // whether each open parenthesis holds the condition of a control statement.
+        braces = [], // whether each open brace starts an object literal rather than a block.
+        depth = 0,
+        regexAllowed = true, // whether a slash at this point starts a regular expression.
+        previous = E, // the last token that is neither white-space nor comment.
+        length = text.length,
+        index = 0,
+        position, // function
+        syntaxError, // function
+        comment, // function
+        skipQuoted, // function
+        skipTemplate, // function
+        skipRegex, // function
+        match,
+        char,
+        end;
+
+    while ((match = LINE_TERMINATOR.exec(text))) {
+        lineStarts.push(match.index + match[0].length);
+    }
+
+    // Converts an index within text to the line (starting at 1) and column (starting at 0) of the index.
+    position = function (index) {
+        var low = 0,
+            high = lineStarts.length - 1,
+            middle;
+
+        while (low < high) {
+            middle = Math.ceil((low + high) / 2);
+            (lineStarts[middle] <= index) ? (low = middle) : (high = middle - 1);
+        }
+        return {
+            line: low + 1,
+            column: index - lineStarts[low]
+        };
+    };
+
+    // Errors note where within the text they occurred, as the ones from the parser do.
+    syntaxError = function (message, index) {
+        var error = new SyntaxError(message);
+
+        error.loc = position(index);
+        return error;
+    };
+
+    comment = function (type, start, end) {
+        comments.push({
+            type: type,
+            value: text.slice(start + 2, type === BLOCK ? end - 2 : end),
+            range: [start, end],
+            loc: {
+                start: position(start),
+                end: position(end)
+            }
+        });
+        return end;
+    };
+
+    // Returns the index after the closing quote of a string that starts at index.
+    skipQuoted = function (index, quote) {
+        var start = index,
+            char;
+
+        for (index += 1; index < length; index++) {
+            char = text.charAt(index);
+            if (char === "\\") {
+                index++;
+            }
+            else if (char === quote) {
+                return index + 1;
+            }
+        }
+        throw syntaxError("Unterminated string constant", start);
+    };
+
+    // Returns the index after the closing back-tick of a template literal or after the `${` of an expression within it.
+    skipTemplate = function (index) {
+        var start = index - 1,
+            char;
+
+        for (; index < length; index++) {
+            char = text.charAt(index);
+            if (char === "\\") {
+                index++;
+            }
+            else if (char === "`") {
+                return index + 1;
+            }
+            else if (char === "$" && text.charAt(index + 1) === "{") {
+                templates.push(depth++);
+                return index + 2;
+            }
+        }
+        throw syntaxError("Unterminated template", start);
+    };
+
+    // Returns the index after the flags of a regular expression that starts at index. When the expression ends with
+    // the line, the slash is rather taken to be a division.
+    skipRegex = function (index) {
+        var inClass = false,
+            start = index,
+            char;
+
+        for (index += 1; index < length; index++) {
+            char = text.charAt(index);
+            if (char === "\\") {
+                index++;
+            }
+            else if (char === "[") {
+                inClass = true;
+            }
+            else if (char === "]") {
+                inClass = false;
+            }
+            else if (char === "/" && !inClass) {
+                for (index += 1; index < length && WORD.test(text.charAt(index)); index++) { }
+                return index;
+            }
+            else if (/[\n\r\u2028\u2029]/.test(char)) {
+                break;
+            }
+        }
+        return start + 1;
+    };
+
+    while (index < length) {
+        char = text.charAt(index);
+
+        if (/\s/.test(char)) {
+            index++;
+        }
+        else if (char === "/" && text.charAt(index + 1) === "*") {
+            end = text.indexOf("*/", index + 2);
+            if (end === -1) {
+                throw syntaxError("Unterminated comment", index);
+            }
+            index = comment(BLOCK, index, end + 2);
+        }
+        else if (char === "/" && text.charAt(index + 1) === "/") {
+            LINE_TERMINATOR.lastIndex = index;
+            match = LINE_TERMINATOR.exec(text);
+            index = comment(LINE, index, match ? match.index : length);
+        }
+        else if (char === "/") {
+            // A regular expression is followed by an operator whereas a division is followed by an operand.
+            end = regexAllowed ? skipRegex(index) : index + 1;
+            regexAllowed = (end === index + 1);
+            previous = regexAllowed ? char : "regex";
+            index = end;
+        }
+        else if (char === "\"" || char === "'") {
+            index = skipQuoted(index, char);
+            regexAllowed = false;
+            previous = "string";
+        }
+        else if (char === "`") {
+            index = skipTemplate(index + 1);
+            regexAllowed = false;
+            previous = "string";
+        }
+        else if (char === "}" && templates.length && templates[templates.length - 1] === depth - 1) {
+            depth = templates.pop();
+            index = skipTemplate(index + 1);
+            regexAllowed = false;
+            previous = "string";
+        }
+        else if (WORD.test(char)) {
+            for (end = index + 1; end < length && WORD.test(text.charAt(end)); end++) { }
+            previous = text.slice(index, end);
+            regexAllowed = EXPRESSION_KEYWORDS.test(previous);
+            index = end;
+        }
+        else if ((char === "+" || char === "-") && text.charAt(index + 1) === char) {
+            // Postfix increments keep expecting an operator while prefix ones keep expecting an operand.
+            previous = char + char;
+            index += 2;
+        }
+        else {
+            switch (char) {
+                case "(":
+                    parens.push(CONTROL_KEYWORDS.test(previous));
+                    regexAllowed = true;
+                    break;
+                case ")":
+                    regexAllowed = Boolean(parens.pop());
+                    break;
+                case "]":
+                    regexAllowed = false;
+                    break;
+                case "{":
+                    braces.push(regexAllowed && !BLOCK_PRECEDERS.test(previous));
+                    depth++;
+                    regexAllowed = true;
+                    break;
+                case "}":
+                    // An object literal ends an operand whereas a block ends a statement.
+                    regexAllowed = !braces.pop();
+                    depth--;
+                    break;
+                default:
+                    regexAllowed = true;
+            }
+            previous = (char === ">" && previous === "=" && text.charAt(index - 1) === "=") ? "=>" : char;
+            index++;
+        }
+    }
+
+    LINE_TERMINATOR.lastIndex = 0;
+    return comments;
+};
+
+/**
+ * Parses the complete syntax tree of a source and collects its comments along with it.
+ *
+ * @private
+ * @param {string} text
+ * @param {object} options
+ * @param {number|string=} [options.ecmaVersion]
+ * @param {string=} [options.sourceType]
+ * @returns {object} The syntax tree with the comments of the source as `comments`.
+ */
+parse = function (text, options) {
+    var comments = [],
+        ecmaVersion = options.ecmaVersion || DEFAULT_ECMA_VERSION,
+        ast;
+
+    // Versions coming from command-line are strings.
+    (/^\d+$/).test(ecmaVersion) && (ecmaVersion = Number(ecmaVersion));
+
+    if (ecmaVersion !== DEFAULT_ECMA_VERSION && !(typeof ecmaVersion === "number" && ecmaVersion >= 3)) {
+        throw new Error(lib.format("Unknown ECMAScript version \"{0}\".", ecmaVersion));
+    }
+    if (!SOURCE_TYPES.test(options.sourceType || DEFAULT_SOURCE_TYPE)) {
+        throw new Error(lib.format("Unknown source type \"{0}\".", options.sourceType));
+    }
+
+    ast = acorn.parse(text, {
+        ecmaVersion: ecmaVersion,
+        sourceType: options.sourceType || DEFAULT_SOURCE_TYPE,
+        allowHashBang: true,
+        locations: true,
+        ranges: true,
+        onComment: comments
+    });
+    ast.comments = comments;
+
+    return ast;
+};
 
 /**
  * The class allows parsing of Mozilla compatible AST from a source file and then perform operations on the tree as a
@@ -26,8 +313,23 @@ var E = "",
  *
  * @constructor
  * @param {string} path
+ * @param {string|Buffer=} [content] - Content of the source, in case it is not to be read from the file-system.
+ * @param {object=} [options]
+ * @param {Array<object>=} [options.comments] - Comments of the source known from earlier, in which case the source is
+ * neither scanned nor parsed.
+ * @param {boolean=} [options.validateSyntax] - Parse the complete syntax tree of the source so that syntax errors are
+ * reported. Otherwise, the source is only scanned for comments.
+ * @param {number|string=} [options.ecmaVersion=latest] - The version of ECMAScript to parse the source as, either as
+ * year (`2015`) or edition (`6`).
+ * @param {string=} [options.sourceType=script] - Either `script` or `module`.
+ * @param {boolean=} [options.lintGlobals] - Parse the complete syntax tree of the source to know the globals that it
+ * defines and reads.
+ * @param {object=} [options.cachedGlobals] - Globals of the source known from earlier, along with its comments. These
+ * are used only when globals are to be linted.
+ * @param {boolean=} [options.esModules] - Recognise sources having `import` or `export` statements as ES modules. Such
+ * sources are always parsed completely (as `module`) to know the modules they import.
  */
-Source = function (path) {
+Source = function (path, content, options) {
     /**
      * @type {string}
      */
@@ -39,17 +341,52 @@ Source = function (path) {
         /**
          * @type {string}
          */
-        this.raw = fs.readFileSync(path).toString() || E;
+        this.raw = (content === undefined ? fs.readFileSync(path) : content).toString() || E;
+
+        options = options || {};
 
         /**
          * @type {object}
          */
-        this.ast = esprima.parse(this.raw, esprimaOptions) || {
-            comments: []
-        };
+        this.ast = options.comments ? {
+            comments: options.comments
+        } : ((options.validateSyntax || options.lintGlobals) ? parse(this.raw, options) : {
+            comments: scanComments(this.raw)
+        });
+
+        /**
+         * The modules imported by the source (including the ones it exports from) along with the line of every
+         * import, in case the source is an ES module.
+         * @type {Array<{specifier: string, line: number}>|undefined}
+         */
+        this.imports = undefined;
+
+        // Comments may well talk about imports and as such they are not looked at when looking for module syntax.
+        if (options.esModules && MODULE_SYNTAX.test(this.strip("comments"))) {
+            this.ast = parse(this.raw, lib.copy(lib.copy({}, options), {
+                sourceType: MODULE
+            }));
+            this.imports = this.ast.body.filter(function (node) {
+                return MODULE_DEPENDENCY.test(node.type) && node.source;
+            }).map(function (node) {
+                return {
+                    specifier: node.source.value,
+                    line: node.loc.start.line
+                };
+            });
+        }
+
+        /**
+         * The globals that the source defines and the free variables it reads, along with the line where each is first
+         * defined or read, in case globals are to be linted.
+         * @type {{defines: Object<number>, reads: Object<number>}|undefined}
+         */
+        this.globals = options.lintGlobals ? (options.cachedGlobals || globals.analyse(this.ast)) : undefined;
     }
     catch (err) {
-        throw lib.format("{1}\n> {0}", path, err.message);
+        // Syntax errors point to the line and column (counting from 1) of the source where they occurred.
+        throw err.loc ? lib.format("{0}\n> {1}:{2}:{3}", err.message.replace(/\s*\(\d+:\d+\)$/, E), path,
+            err.loc.line, err.loc.column + 1) : lib.format("{1}\n> {0}", path, err.message);
     }
 };
 
@@ -58,6 +395,139 @@ lib.copy(Source.prototype, /** @lends module:source~Source.prototype */ {
         return this.path;
     },
 
+    /**
+     * Returns the content of the source without the comments of a kind. Licence comments that start with `/*!` are
+     * always preserved. The new lines within a removed comment are retained so that the lines of content that follow
+     * remain where they were - as source maps expect them to be.
+     *
+     * @param {string} mode - `directives` removes the doc-comments having any of the directives, `jsdoc` removes all
+     * doc-comments and `comments` removes all comments.
+     * @param {object=} [directives] - The directives to look for within doc-comments, keyed by their names.
+     * @returns {string}
+     */
+    strip: function (mode, directives) {
+        var comments = this.ast && this.ast.comments || [],
+            content = this.raw,
+            names = Object.keys(directives || {}),
+            strippable; // function
+
+        switch (mode) {
+            case "comments":
+                strippable = function (comment) {
+                    return comment.type !== BLOCK || comment.value.charAt() !== EXCLAMATION;
+                };
+                break;
+
+            case "jsdoc":
+                strippable = function (comment) {
+                    return comment.type === BLOCK && comment.value.charAt() === ASTERISK;
+                };
+                break;
+
+            case "directives":
+                // Blocks having @ignore tags are not parsed for directives and as such are not linking-only.
+                strippable = function (comment) {
+                    return comment.type === BLOCK && comment.value.charAt() === ASTERISK &&
+                        !(/\@ignore[\@\s\r\n]/i).test(comment.value) && names.some(function (name) {
+                            return lib.getDirectivePattern(name).test(comment.value);
+                        });
+                };
+                break;
+
+            default:
+                throw new Error(lib.format("Unknown strip mode \"{0}\".", mode));
+        }
+
+        // Removing from the last comment onwards keeps the ranges of the earlier comments valid.
+        comments.filter(strippable).reverse().forEach(function (comment) {
+            var breaks = content.slice(comment.range[0], comment.range[1]).replace(/[^\r\n]/g, E);
+
+            // A comment without any new line still separates the code around it.
+            content = content.slice(0, comment.range[0]) + (breaks || SPC) + content.slice(comment.range[1]);
+        });
+
+        return content;
+    },
+
+    /**
+     * Returns the content of an ES module as a plain script by removing its `import` and `export` statements. Exported
+     * declarations remain as they are and the new lines of removed statements are retained. A script can only refer to
+     * what another script declares by its name. As such, namespace imports, default imports, renamed imports or exports
+     * and anonymous default exports cannot be converted. A source that is not an ES module is returned as it is.
+     *
+     * @returns {string}
+     *
+     * @throws {string} If the module syntax of the source cannot be converted.
+     */
+    stripModuleSyntax: function () {
+        var content = this.raw,
+            path = this.path,
+            removals = [],
+            unconvertible; // function
+
+        if (!this.imports) {
+            return content;
+        }
+
+        unconvertible = function (node) {
+            return lib.format("Module syntax cannot be converted to a script\n> {0}:{1}:{2}", path,
+                node.loc.start.line, node.loc.start.column + 1);
+        };
+
+        this.ast.body.forEach(function (node) {
+            var declaration = node.declaration;
+
+            switch (node.type) {
+                case "ImportDeclaration":
+                case "ExportNamedDeclaration":
+                case "ExportAllDeclaration":
+                    // Neither a namespace (`* as name`) nor a renamed binding has a name of its own within a script.
+                    if (node.exported) {
+                        throw unconvertible(node);
+                    }
+                    (node.specifiers || []).forEach(function (specifier) {
+                        var local = specifier.local.name;
+
+                        // A default import names what the exporting module declared by a name of its own.
+                        if (specifier.type === "ImportNamespaceSpecifier" ||
+                                specifier.type === "ImportDefaultSpecifier" ||
+                                (specifier.imported && specifier.imported.name !== local) ||
+                                (specifier.exported && specifier.exported.name !== local)) {
+                            throw unconvertible(specifier);
+                        }
+                    });
+                    // Exported declarations lose only the keyword while all other statements are removed.
+                    removals.push([node.start, declaration ? declaration.start : node.end]);
+                    break;
+
+                case "ExportDefaultDeclaration":
+                    if (!(/Declaration$/).test(declaration.type) || !declaration.id) {
+                        throw unconvertible(node);
+                    }
+                    removals.push([node.start, declaration.start]);
+                    break;
+            }
+        });
+
+        // Removing from the last statement onwards keeps the ranges of the earlier statements valid.
+        removals.reverse().forEach(function (range) {
+            content = content.slice(0, range[0]) + content.slice(range[0], range[1]).replace(/[^\r\n]/g, E) +
+                content.slice(range[1]);
+        });
+
+        return content;
+    },
+
+    /**
+     * Parses the directives within the doc-comments of the source. The handler of every directive is called with the
+     * scope as `this` and receives the namespace of the comment block, the value of the directive and its context -
+     * `{collection, source, line, defines, text}`, where `text` is the rest of the comment block from the value
+     * onwards.
+     *
+     * @param {object} directives - Handlers of directives keyed by their names.
+     * @param {Array<string>=} [order] - Directives to parse before others within a comment block.
+     * @param {object=} [scope] - Has the `path`, `collection` and `defines` that directives are parsed for.
+     */
     parseDirectives: function (directives, order, scope) {
         var comments = this.ast && this.ast.comments || [];
 
@@ -83,11 +553,24 @@ lib.copy(Source.prototype, /** @lends module:source~Source.prototype */ {
                 // Call the directive replacer function and then pass the evaluator via a router
                 comment.value.replace(lib.getDirectivePattern(name), (function () {
                     return function ($glob, $1) {
+                        var offset = arguments[arguments.length - 2],
+                            // The value stops at a new line or `@`, while the rest of the block is available as text.
+                            text = comment.value.slice(offset + $glob.length - $1.length);
+
                         if ($1 && ($1 = $1.trim())) {
+                            // Let the evaluator know the line in source where this directive was found.
+                            scope && (scope.line = comment.loc.start.line +
+                                comment.value.slice(0, offset).split(NEWLINE).length - 1);
+
                             // Execute the evaluator in the specified scope and send it a very specific argument set
-                            // 1: namespace, 2+: all the specific matches of the name pattern
-                            returns[0][name] = evaluator.apply(scope,
-                                returns.concat(Array.prototype.slice.call(arguments, 1, -2)));
+                            // 1: namespace, 2: the value of the directive, 3: the context of the directive
+                            returns[0][name] = evaluator.call(scope, returns[0], $1, {
+                                collection: scope && scope.collection,
+                                source: scope && scope.path,
+                                line: scope && scope.line,
+                                defines: scope && scope.defines,
+                                text: text
+                            });
                         }
                     };
                 }())); // end comment replacer callback
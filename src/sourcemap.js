@@ -0,0 +1,179 @@
+/**
+ * Source map generator. Allows mapping of every line of a concatenated file back to the original source file and line
+ * using the revision 3 source map format.
+ *
+ * @module sourcemap
+ * @requires lib
+ */
+
+var SEMICOLON = ";",
+    COMMA = ",",
+    NEWLINE = "\n",
+    BASE64_DIGITS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",
+    VLQ_BASE_SHIFT = 5,
+    VLQ_BASE = 1 << VLQ_BASE_SHIFT, // 32
+    VLQ_BASE_MASK = VLQ_BASE - 1, // 31
+    VLQ_CONTINUATION_BIT = VLQ_BASE,
+
+    lib = require("./lib.js"),
+    encodeVLQ, // function
+    SourceMap; // constructor
+
+/**
+ * Encodes a number as base64 variable length quantity as required by the `mappings` field of source maps.
+ *
+ * @private
+ * @param {number} value
+ * @returns {string}
+ */
+encodeVLQ = function (value) {
+    var encoded = "",
+        digit;
+
+    // The sign is stored in the least significant bit.
+    value = value < 0 ? ((-value) << 1) + 1 : value << 1;
+
+    do {
+        digit = value & VLQ_BASE_MASK;
+        value >>>= VLQ_BASE_SHIFT;
+        if (value > 0) {
+            digit |= VLQ_CONTINUATION_BIT;
+        }
+        encoded += BASE64_DIGITS.charAt(digit);
+    } while (value > 0);
+
+    return encoded;
+};
+
+/**
+ * Represents the source map of one generated file. Content is expected to be added to the map in the same order as it
+ * is written to the generated file so that the map can keep track of the generated line and column.
+ *
+ * @class
+ * @param {string} file - The name of the generated file this map belongs to.
+ *
+ * @example
+ * var map = new SourceMap("main.js");
+ * map.addSource("../src/helper.js", "var helper;\n");
+ * map.addSource("../src/main.js", "var main;\n");
+ * console.log(map.toString()); // outputs {"version":3,"file":"main.js",...,"mappings":"AAAA;ACAA;"}
+ */
+SourceMap = function (file) {
+    /**
+     * @type {string}
+     */
+    this.file = lib.stringLike(file);
+
+    /**
+     * List of all original source files that are mapped.
+     * @type {Array<string>}
+     */
+    this.sources = [];
+
+    /**
+     * Segments of every generated line. Each segment is an array of generated column, source index, original line and
+     * original column.
+     * @type {Array<Array>}
+     */
+    this.lines = [[]];
+
+    /**
+     * The column on the last generated line where the next content will be appended.
+     * @type {number}
+     */
+    this.column = 0;
+};
+
+lib.copy(SourceMap.prototype, /** @lends module:sourcemap~SourceMap.prototype */ {
+    /**
+     * Adds the content of an original source file as appended to the generated file. Every line of the content is
+     * mapped to the same line of the original source.
+     *
+     * @param {string} source - Path of the original file as it should appear in the map.
+     * @param {string} content
+     * @chainable
+     * @returns {module:sourcemap~SourceMap}
+     */
+    addSource: function (source, content) {
+        var index = this.sources.push(lib.stringLike(source)) - 1,
+            lines = content.toString().split(NEWLINE),
+            i,
+            ii;
+
+        for (i = 0, ii = lines.length; i < ii; i++) {
+            // Start a new generated line for every line after the first one.
+            if (i) {
+                this.lines.push([]);
+                this.column = 0;
+            }
+            // An empty last line is only the end of the file and there is nothing in it to be mapped.
+            if (i < ii - 1 || lines[i]) {
+                this.lines[this.lines.length - 1].push([this.column, index, i, 0]);
+            }
+        }
+        this.column += lines[ii - 1].length;
+
+        return this;
+    },
+
+    /**
+     * Adds generated content that does not belong to any original source, such as separators, so that the positions
+     * of subsequent sources are accounted for.
+     *
+     * @param {string} content
+     * @chainable
+     * @returns {module:sourcemap~SourceMap}
+     */
+    addContent: function (content) {
+        var lines = content.toString().split(NEWLINE),
+            i;
+
+        for (i = 1; i < lines.length; i++) {
+            this.lines.push([]);
+            this.column = 0;
+        }
+        this.column += lines[lines.length - 1].length;
+
+        return this;
+    },
+
+    /**
+     * Returns the encoded `mappings` string of the map.
+     * @returns {string}
+     */
+    mappings: function () {
+        var previous = [0, 0, 0, 0];
+
+        return this.lines.map(function (segments) {
+            previous[0] = 0; // generated column is relative only within a line.
+
+            return segments.map(function (segment) {
+                var encoded = "",
+                    i;
+
+                // All fields of a segment are stored relative to the same field of the previous segment.
+                for (i = 0; i < segment.length; i++) {
+                    encoded += encodeVLQ(segment[i] - previous[i]);
+                    previous[i] = segment[i];
+                }
+                return encoded;
+            }).join(COMMA);
+        }).join(SEMICOLON);
+    },
+
+    toJSON: function () {
+        return {
+            version: 3,
+            file: this.file,
+            sources: this.sources,
+            names: [],
+            mappings: this.mappings()
+        };
+    },
+
+    toString: function () {
+        return JSON.stringify(this);
+    }
+});
+
+module.exports = SourceMap;
\ No newline at end of file
@@ -0,0 +1 @@
+module.exports = require("../src/grunt.js");
\ No newline at end of file
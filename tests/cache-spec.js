@@ -0,0 +1,79 @@
+describe("cache module", function () {
+    var fs = require("fs"),
+        os = require("os"),
+        pathUtil = require("path"),
+        SourceCache = require("../src/cache.js"),
+        folder,
+        path;
+
+    beforeEach(function () {
+        folder = fs.mkdtempSync(pathUtil.join(os.tmpdir(), "jslink-"));
+        path = pathUtil.join(folder, "main.js");
+        fs.writeFileSync(path, "/**\n * @module main\n */\nvar main = {};\n");
+    });
+
+    afterEach(function () {
+        [pathUtil.join(folder, "cache/sources.json"), path].forEach(function (file) {
+            fs.existsSync(file) && fs.unlinkSync(file);
+        });
+        fs.existsSync(pathUtil.join(folder, "cache/")) && fs.rmdirSync(pathUtil.join(folder, "cache/"));
+        fs.rmdirSync(folder);
+    });
+
+    it ("must parse a source only until it is cached", function () {
+        var cache = new SourceCache(pathUtil.join(folder, "cache/"));
+
+        expect(cache.source(path).ast.comments.length).toBe(1);
+        cache.save();
+
+        cache = new SourceCache(pathUtil.join(folder, "cache/"));
+        expect(cache.source(path).ast.comments[0].value).toBe("*\n * @module main\n ");
+        expect([cache.hits, cache.misses]).toBeJSONEquals([1, 0]);
+    });
+
+    it ("must parse a source again when its content changes", function () {
+        var cache = new SourceCache(pathUtil.join(folder, "cache/"));
+
+        cache.source(path);
+        cache.save();
+        fs.writeFileSync(path, "/**\n * @module changed\n */\nvar changed = {};\n");
+
+        cache = new SourceCache(pathUtil.join(folder, "cache/"));
+        expect(cache.source(path).ast.comments[0].value).toBe("*\n * @module changed\n ");
+        expect([cache.hits, cache.misses]).toBeJSONEquals([0, 1]);
+    });
+
+    it ("must use the cache for a touched source with the same content", function () {
+        var cache = new SourceCache(pathUtil.join(folder, "cache/"));
+
+        cache.source(path);
+        cache.save();
+        fs.utimesSync(path, new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+        cache = new SourceCache(pathUtil.join(folder, "cache/"));
+        cache.source(path);
+        expect([cache.hits, cache.misses]).toBeJSONEquals([1, 0]);
+    });
+
+    it ("must parse a source that was only scanned when syntax is to be validated", function () {
+        var cache = new SourceCache(pathUtil.join(folder, "cache/"));
+
+        cache.source(path);
+        cache.save();
+
+        cache = new SourceCache(pathUtil.join(folder, "cache/"), { validateSyntax: true });
+        cache.source(path);
+        expect([cache.hits, cache.misses]).toBeJSONEquals([0, 1]);
+    });
+
+    it ("must ignore a broken cache", function () {
+        var cache;
+
+        fs.mkdirSync(pathUtil.join(folder, "cache/"));
+        fs.writeFileSync(pathUtil.join(folder, "cache/sources.json"), "{ broken");
+
+        cache = new SourceCache(pathUtil.join(folder, "cache/"));
+        cache.source(path);
+        expect([cache.hits, cache.misses]).toBeJSONEquals([0, 1]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,308 @@
+describe("collection module", function () {
+    var ModuleCollection = require("../src/collection.js");
+
+    describe("`ModuleCollection#remove`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.add("main", "src/main.js");
+            collection.add("helper", "src/helper.js");
+            collection.connect("main", "helper");
+            collection.connect("main", "util");
+        });
+
+        it ("must track modules by their source", function () {
+            expect(Object.keys(collection.getBySource("src/main.js"))).toBeJSONEquals(["main"]);
+        });
+
+        it ("must undefine modules of the source and disconnect their requirements", function () {
+            collection.remove("src/main.js");
+
+            expect(collection.getBySource("src/main.js")).toBeUndefined();
+            expect(collection.numberOfDependencies).toBe(0);
+            expect(collection.get("helper").numberOfDependants).toBe(0);
+        });
+
+        it ("must drop modules that are neither defined nor required", function () {
+            collection.remove("src/main.js");
+
+            expect(collection.get("main")).toBeUndefined();
+            expect(collection.get("util")).toBeUndefined();
+            expect(collection.get("helper").defined()).toBe(true);
+            expect(collection.numberOfModules).toBe(1);
+        });
+
+        it ("must keep removed modules that are still required as undefined", function () {
+            collection.remove("src/helper.js");
+
+            expect(collection.get("helper").defined()).toBe(false);
+            expect(collection.get("main").requires.helper).toBe(collection.get("helper"));
+        });
+
+        it ("must allow the source to be added again", function () {
+            collection.remove("src/helper.js");
+            collection.add("helper", "src/helper.js");
+
+            expect(collection.get("helper").source).toBe("src/helper.js");
+        });
+    });
+
+    describe("`ModuleCollection#closure`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.connect("main", "helper");
+            collection.connect("helper", "util");
+            collection.connect("plugin", "main");
+        });
+
+        it ("must include the module and everything it requires", function () {
+            expect(Object.keys(collection.closure("main")).sort()).toBeJSONEquals(["helper", "main", "util"]);
+        });
+
+        it ("must not include the dependants of the module", function () {
+            expect(collection.closure("helper").plugin).toBeUndefined();
+            expect(collection.closure("helper").main).toBeUndefined();
+        });
+
+        it ("must merge the closure of multiple modules", function () {
+            expect(Object.keys(collection.closure(["helper", "plugin"])).length).toBe(4);
+        });
+
+        it ("must include the dependants of the module when asked", function () {
+            expect(Object.keys(collection.closure("helper", "dependants")).sort()).toBeJSONEquals(["helper", "main",
+                "plugin"]);
+        });
+    });
+
+    describe("`ModuleCollection#paths`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.connect("main", "helper");
+            collection.connect("helper", "util");
+            collection.connect("main", "util");
+            collection.connect("plugin", "util");
+        });
+
+        it ("must list every path from a module to its requirement", function () {
+            expect(collection.paths("main", "util")).toBeJSONEquals([["main", "helper", "util"], ["main", "util"]]);
+        });
+
+        it ("must list no more paths than the limit", function () {
+            expect(collection.paths("main", "util", 1)).toBeJSONEquals([["main", "helper", "util"]]);
+        });
+
+        it ("must not list any path between unrelated modules", function () {
+            expect(collection.paths("plugin", "helper")).toBeJSONEquals([]);
+            expect(collection.paths("util", "main")).toBeJSONEquals([]);
+            expect(collection.paths("main", "missing")).toBeJSONEquals([]);
+        });
+    });
+
+    describe("`ModuleCollection#serialize`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.connect("a", "b", { source: "a.js", line: 3 });
+            collection.connect("b", "c", { source: "b.js", line: 4 });
+            collection.connect("c", "a", { source: "c.js", line: 5 });
+            collection.connect("b", "d");
+            collection.connect("d", "b");
+        });
+
+        it ("must sort modules after their requirements", function () {
+            var sorted = new ModuleCollection();
+
+            sorted.connect("main", "helper");
+            sorted.connect("helper", "util");
+            expect(sorted.serialize()[0].map(String)).toBeJSONEquals(["util", "helper", "main"]);
+        });
+
+        it ("must group modules that require the same undefined module", function () {
+            var sorted = new ModuleCollection();
+
+            sorted.add("chart", "chart.js");
+            sorted.add("maps", "maps.js");
+            sorted.connect("chart", "jquery");
+            sorted.connect("maps", "jquery");
+            expect(sorted.serialize().map(function (group) {
+                return group.map(String);
+            })).toBeJSONEquals([["jquery", "chart", "maps"]]);
+        });
+
+        it ("must not group modules only through an undefined module that they require optionally", function () {
+            var sorted = new ModuleCollection();
+
+            sorted.add("chart", "chart.js");
+            sorted.add("maps", "maps.js");
+            sorted.connect("chart", "theme", { optional: true });
+            sorted.connect("maps", "theme", { optional: true });
+            expect(sorted.serialize().map(function (group) {
+                return group.map(String);
+            })).toBeJSONEquals([["theme", "chart"], ["maps"]]);
+        });
+
+        it ("must report all cycles with their full chain", function () {
+            var error;
+
+            try {
+                collection.serialize();
+            }
+            catch (err) {
+                error = err;
+            }
+
+            expect(typeof error).toBe("string");
+            expect(error).toContain("- a -> b -> c -> a\n");
+            expect(error).toContain("- b -> d -> b\n");
+        });
+
+        it ("must report cycles that pass through modules sorted already", function () {
+            var sorted = new ModuleCollection();
+
+            sorted.connect("a", "b");
+            sorted.connect("b", "c");
+            sorted.connect("c", "a");
+            sorted.connect("a", "c");
+            expect(function () {
+                sorted.serialize();
+            }).toThrow(new Error("Cyclic dependency error discovered while parsing: 2 cycles\n" +
+                "- a -> b -> c -> a\n    a requires b\n    b requires c\n    c requires a\n" +
+                "- a -> c -> a\n    a requires c\n    c requires a"));
+        });
+
+        it ("must report ordering hints that form a cycle", function () {
+            var sorted = new ModuleCollection();
+
+            sorted.add("core", "core.js");
+            sorted.add("maps", "maps.js").follow("chart", { source: "maps.js", line: 3 });
+            sorted.connect("chart", "maps");
+            sorted.connect("chart", "core");
+            expect(function () {
+                sorted.serialize();
+            }).toThrow(new Error("Cyclic dependency error discovered while parsing: 1 cycle\n" +
+                "- chart -> maps -> chart\n    chart requires maps\n    maps is after chart at maps.js:3"));
+        });
+
+        it ("must report the source and line of every requirement in a cycle", function () {
+            expect(function () {
+                collection.serialize();
+            }).toThrow(new Error("Cyclic dependency error discovered while parsing: 2 cycles\n" +
+                "- a -> b -> c -> a\n    a requires b at a.js:3\n    b requires c at b.js:4\n" +
+                "    c requires a at c.js:5\n" +
+                "- b -> d -> b\n    b requires d\n    d requires b"));
+        });
+    });
+
+    describe("version constraints", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+        });
+
+        it ("must not allow invalid versions", function () {
+            expect(function () {
+                collection.add("event", "event.js", "two");
+            }).toThrow(new Error("Invalid version \"two\" of event at: event.js"));
+        });
+
+        it ("must not connect modules with an invalid version range", function () {
+            expect(function () {
+                collection.connect("chart", "event", { source: "chart.js", line: 4, range: "soon" });
+            }).toThrow(new Error("Invalid version range \"soon\" for event required by chart at chart.js:4"));
+            expect(collection.numberOfDependencies).toBe(0);
+        });
+
+        it ("must be satisfied by a version within the range", function () {
+            collection.add("event", "event.js", "2.3.0");
+            expect(collection.connect("chart", "event", { range: ">=2.0 <3" }).satisfied()).toBe(true);
+        });
+
+        it ("must not be satisfied by a version outside the range or a missing version", function () {
+            collection.add("event", "event.js", "3.0.0");
+            collection.add("util", "util.js");
+            expect(collection.connect("chart", "event", { range: ">=2.0 <3" }).satisfied()).toBe(false);
+            expect(collection.connect("chart", "util", { range: "1.x" }).satisfied()).toBe(false);
+        });
+    });
+
+    describe("`ModuleCollection#provide`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+        });
+
+        it ("must connect modules requiring the alias after it is provided", function () {
+            collection.add("event", "event.js");
+            collection.provide("event", "legacy");
+            collection.connect("chart", "legacy");
+
+            expect(collection.get("chart").requires.event).toBe(collection.get("event"));
+        });
+
+        it ("must move modules requiring the alias before it is provided", function () {
+            collection.connect("chart", "legacy", { source: "chart.js", line: 3 });
+            collection.add("event", "event.js");
+            collection.provide("event", "legacy");
+
+            expect(collection.modules.legacy).toBeUndefined();
+            expect(collection.numberOfModules).toBe(2);
+            expect(collection.getDependency("chart", "event").line).toBe(3);
+        });
+
+        it ("must allow a module to be required by its name as well as its alias", function () {
+            collection.add("event", "event.js");
+            collection.provide("event", "legacy");
+            collection.connect("chart", "legacy");
+            collection.connect("chart", "event");
+
+            expect(collection.numberOfDependencies).toBe(1);
+            expect(collection.getDependency("chart", "event").alias).toBe("legacy");
+        });
+
+        it ("must not allow an alias to be provided by two modules", function () {
+            collection.add("event", "event.js");
+            collection.add("events", "events.js");
+            collection.provide("event", "legacy");
+
+            expect(function () {
+                collection.provide("events", "legacy");
+            }).toThrow(new Error("Alias legacy provided by events at: events.js is already provided by event at: " +
+                "event.js"));
+        });
+
+        it ("must not allow an alias to conflict with a defined module", function () {
+            collection.add("event", "event.js");
+            collection.add("legacy", "legacy.js");
+
+            expect(function () {
+                collection.provide("event", "legacy");
+            }).toThrow(new Error("Alias legacy provided by event at: event.js is already defined at: legacy.js"));
+        });
+
+        it ("must not allow a module to be defined with the name of an alias", function () {
+            collection.add("event", "event.js");
+            collection.provide("event", "legacy");
+
+            expect(function () {
+                collection.add("legacy", "legacy.js");
+            }).toThrow(new Error("Definition of legacy at: legacy.js conflicts with the alias provided by event at: " +
+                "event.js"));
+        });
+
+        it ("must forget the aliases of a removed source", function () {
+            collection.add("event", "event.js");
+            collection.provide("event", "legacy");
+            collection.remove("event.js");
+
+            expect(collection.get("legacy")).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,293 @@
+describe("core module", function () {
+    var path = require("path"),
+        jslink = require("../src/core.js"),
+
+        // Fails the spec when a build that is expected to resolve rejects, or when its expectations throw.
+        failed = function (done) {
+            return function (error) {
+                expect(error).toBeUndefined();
+                done();
+            };
+        },
+
+        // Fails the spec when a build that is expected to reject resolves.
+        resolved = function (done) {
+            return function () {
+                expect("resolved").toBe("rejected");
+                done();
+            };
+        };
+
+    describe("`jslink.build`", function () {
+        it ("must resolve with the analysed collection", function (done) {
+            jslink.build({
+                source: "tests/structure/linear",
+                test: true
+            }).then(function (result) {
+                expect(result.collection.numberOfModules).toBe(8);
+                expect(result.stat.definedModules.length).toBe(8);
+                done();
+            }).then(null, failed(done));
+        });
+
+        it ("must not list any output in test mode", function (done) {
+            jslink.build({
+                source: "tests/structure/linear",
+                test: true
+            }).then(function (result) {
+                expect(result.outputs).toBeJSONEquals([]);
+                done();
+            }).then(null, failed(done));
+        });
+
+        it ("must reject with an error when linking fails", function (done) {
+            jslink.build({
+                source: "tests/structure/missing/"
+            }).then(resolved(done), function (error) {
+                expect(error instanceof Error).toBe(true);
+                expect(error.message).toBe("Source path \"tests/structure/missing/\" does not exist or is not " +
+                    "readable.");
+                done();
+            });
+        });
+
+        it ("must not modify the options passed to it", function (done) {
+            var options = {
+                source: "tests/structure/linear",
+                test: true
+            };
+
+            jslink.build(options).then(function () {
+                expect(options).toBeJSONEquals({
+                    source: "tests/structure/linear",
+                    test: true
+                });
+                done();
+            }).then(null, failed(done));
+        });
+
+        it ("must report tokens without a replacement under strict mode", function (done) {
+            jslink.build({
+                source: "tests/structure/tokens",
+                define: "VERSION=2.0.0",
+                replaceTokens: true,
+                test: true
+            }).then(resolved(done), function (error) {
+                expect(error.message).toBe("1 unknown token detected under strict mode.\n- __DEBUG_LEVEL__ at " +
+                    "tests/structure/tokens/util.js:4");
+                done();
+            });
+        });
+
+        it ("must note the tokens used by every source", function (done) {
+            jslink.build({
+                source: "tests/structure/tokens",
+                define: "VERSION=2.0.0",
+                replaceTokens: true,
+                strict: false,
+                test: true
+            }).then(function (result) {
+                expect(result.stat.tokens[path.resolve("tests/structure/tokens/main.js")].map(function (token) {
+                    return [token.name, token.line, token.known];
+                })).toBeJSONEquals([["VERSION", 6, true], ["BUILD_DATE", 6, true]]);
+                expect(result.stat.tokens[path.resolve("tests/structure/tokens/util.js")].length).toBe(2);
+                done();
+            }).then(null, failed(done));
+        });
+    });
+
+    describe("linking ES modules", function () {
+        it ("must require the modules imported by sources", function (done) {
+            jslink.build({
+                source: "tests/structure/esm",
+                recursive: true,
+                esModules: true,
+                test: true
+            }).then(function (result) {
+                var requires = function (name) {
+                    return Object.keys(result.collection.get(name).requires);
+                };
+
+                expect(requires("app")).toBeJSONEquals(["tests/structure/esm/lib/format.js",
+                    "tests/structure/esm/lib/legacy.js"]);
+                expect(requires("tests/structure/esm/lib/format.js")).toBeJSONEquals(["base"]);
+                expect(requires("widget")).toBeJSONEquals(["tests/structure/esm/lib/format.js"]);
+                done();
+            }).then(null, failed(done));
+        });
+
+        it ("must not read module syntax unless asked to", function (done) {
+            jslink.build({
+                source: "tests/structure/esm",
+                recursive: true,
+                test: true
+            }).then(function (result) {
+                expect(Object.keys(result.collection.get("app").requires)).toBeJSONEquals([]);
+                done();
+            }).then(null, failed(done));
+        });
+    });
+
+    describe("`jslink.query`", function () {
+        it ("must list every path through which a module requires another", function () {
+            jslink.query({
+                source: "tests/structure/linear",
+                why: "main,make_string"
+            }, function (error, collection, result) {
+                expect(error).toBeUndefined();
+                expect(result.paths).toBeJSONEquals([["main", "parse", "execute", "make_string"],
+                    ["main", "init", "make_string"]]);
+            });
+        });
+
+        it ("must allow spaces between the modules queried for paths", function () {
+            jslink.query({
+                source: "tests/structure/linear",
+                why: "main, make_string"
+            }, function (error, collection, result) {
+                expect(error).toBeUndefined();
+                expect(result.why).toBeJSONEquals(["main", "make_string"]);
+                expect(result.morePaths).toBe(false);
+            });
+        });
+
+        it ("must list the transitive requirements and dependants of modules", function () {
+            jslink.query({
+                source: "tests/structure/linear",
+                deps: "parse",
+                rdeps: "make_string"
+            }, function (error, collection, result) {
+                expect(result.requires).toBeJSONEquals(["compare", "execute", "make_string", "printf"]);
+                expect(result.dependants).toBeJSONEquals(["execute", "init", "main", "parse"]);
+            });
+        });
+
+        it ("must report modules that are not known", function () {
+            jslink.query({
+                source: "tests/structure/linear",
+                deps: "missing"
+            }, function (error) {
+                expect(error).toEqual(new Error("Unknown module \"missing\"."));
+            });
+        });
+    });
+
+    describe("`jslink.watch`", function () {
+        var fs = require("fs"),
+            folder,
+            src,
+            out,
+            stop, // function
+            write, // function
+            read, // function
+            watch; // function
+
+        write = function (name, content) {
+            fs.writeFileSync(path.join(src, name), content);
+        };
+
+        read = function (name) {
+            return fs.existsSync(path.join(out, name)) ? fs.readFileSync(path.join(out, name)).toString() : undefined;
+        };
+
+        // Links the sources and calls a step with the results of every link that follows. Steps run once the watch has
+        // started, so that the changes they make are noticed.
+        watch = function (steps, done) {
+            var step = 0;
+
+            stop = jslink.watch(jslink.prepareOptions({
+                source: [src],
+                destination: out + path.sep,
+                overwrite: true
+            }), function () {
+                var args = arguments;
+
+                step < steps.length && setTimeout(function () {
+                    steps[step++].apply(null, args);
+                    step === steps.length && done();
+                }, 0);
+            });
+        };
+
+        beforeEach(function () {
+            folder = fs.mkdtempSync(path.join(require("os").tmpdir(), "jslink-"));
+            src = path.join(folder, "src");
+            out = path.join(folder, "out");
+            fs.mkdirSync(src);
+            write("core.js", "/**\n * @module core\n */\nvar core;\n");
+            write("a.js", "/**\n * @module a\n * @requires core\n * @export a.js\n */\nvar a;\n");
+            write("b.js", "/**\n * @module b\n * @export b.js\n */\nvar b;\n");
+        });
+
+        afterEach(function () {
+            stop && stop();
+            stop = undefined;
+            [src, out].forEach(function (directory) {
+                fs.existsSync(directory) && fs.readdirSync(directory).forEach(function (name) {
+                    fs.unlinkSync(path.join(directory, name));
+                });
+                fs.existsSync(directory) && fs.rmdirSync(directory);
+            });
+            fs.rmdirSync(folder);
+        });
+
+        it ("must rewrite only the exports of the sources that change", function (done) {
+            watch([function (error, collection, stat, targets) {
+                expect(error).toBeUndefined();
+                expect(targets).toBeUndefined();
+                expect(read("a.js")).toContain("var core;");
+                write("b.js", "/**\n * @module b\n * @export b.js\n */\nvar b = 1;\n");
+            }, function (error, collection, stat, targets, stale) {
+                expect(error).toBeUndefined();
+                expect(targets).toBeJSONEquals(["b.js"]);
+                expect(stale).toBeJSONEquals([]);
+                expect(stat.filesProcessed).toBe(1);
+                expect(read("b.js")).toContain("var b = 1;");
+            }], done);
+        });
+
+        it ("must rewrite the exports whose sources change without their sources being touched", function (done) {
+            watch([function () {
+                write("a.js", "/**\n * @module a\n * @requires core\n * @requires b\n * @export a.js\n */\nvar a;\n");
+            }, function (error, collection, stat, targets) {
+                expect(error).toBeUndefined();
+                expect(targets.sort()).toBeJSONEquals(["a.js", "b.js"]);
+                expect(read("b.js")).toContain("var a;");
+            }], done);
+        });
+
+        it ("must link sources that are added", function (done) {
+            watch([function () {
+                write("c.js", "/**\n * @module c\n * @requires b\n * @export c.js\n */\nvar c;\n");
+            }, function (error, collection, stat, targets) {
+                expect(error).toBeUndefined();
+                expect(collection.get("c").requires.b).not.toBe(undefined);
+                expect(targets.sort()).toBeJSONEquals(["b.js", "c.js"]);
+                expect(read("c.js")).toContain("var b;");
+            }], done);
+        });
+
+        it ("must unlink sources that are deleted and remove the exports they leave behind", function (done) {
+            watch([function () {
+                fs.unlinkSync(path.join(src, "b.js"));
+            }, function (error, collection, stat, targets, stale) {
+                expect(error).toBeUndefined();
+                expect(collection.get("b")).toBe(undefined);
+                expect(targets).toBeJSONEquals([]);
+                expect(stale).toBeJSONEquals(["b.js"]);
+                expect(read("b.js")).toBe(undefined);
+                expect(read("a.js")).toContain("var a;");
+            }], done);
+        });
+
+        it ("must remove the exports that are no longer declared", function (done) {
+            watch([function () {
+                write("b.js", "/**\n * @module b\n */\nvar b;\n");
+            }, function (error, collection, stat, targets, stale) {
+                expect(error).toBeUndefined();
+                expect(stale).toBeJSONEquals(["b.js"]);
+                expect(read("b.js")).toBe(undefined);
+            }], done);
+        });
+    });
+});
\ No newline at end of file
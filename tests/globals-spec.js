@@ -0,0 +1,117 @@
+describe("globals module", function () {
+    var lib = require("../src/lib.js"),
+        globals = require("../src/globals.js"),
+        jslink = require("../src/core.js"),
+        Source = require("../src/source.js"),
+        ModuleCollection = require("../src/collection.js"),
+        analyse = function (content, options) {
+            return new Source("test.js", content, lib.copy({ lintGlobals: true }, options)).globals;
+        };
+
+    describe("`globals.analyse`", function () {
+        it ("must find the globals defined and the free variables read", function () {
+            expect(analyse("var a = b;\nfunction c (d) {\n    e = d + f;\n    return a;\n}\nlet g = c();"))
+                .toBeJSONEquals({ defines: { e: 3, a: 1, c: 2, g: 6 }, reads: { b: 1, f: 3 } });
+        });
+
+        it ("must not take names of properties, labels or bound variables for reads", function () {
+            expect(Object.keys(analyse("var o = { k: v, [ck]: 1, m () { return this.k + x.y; } };\n" +
+                "outer: for (let i of list) {\n    try { continue outer; }\n" +
+                "    catch ({ message = fallback }) { i(message); }\n}\n" +
+                "class A extends B { #p = P; }\nhasOwnProperty.call(o, \"k\");").reads))
+                .toBeJSONEquals(["v", "ck", "x", "list", "fallback", "B", "P", "hasOwnProperty"]);
+        });
+
+        it ("must leave out what ES modules import", function () {
+            expect(analyse("import a, { b } from \"./a.js\";\nexport const c = a + b + d;\n" +
+                "export { e } from \"./e.js\";", { sourceType: "module" }))
+                .toBeJSONEquals({ defines: { c: 2 }, reads: { d: 2 } });
+        });
+
+        it ("must not give arrow functions an `arguments` of their own", function () {
+            expect(analyse("function f () {\n    return () => arguments;\n}\nvar g = () => arguments;").reads)
+                .toBeJSONEquals({ arguments: 4 });
+        });
+
+        it ("must analyse the syntax tree as it is", function () {
+            expect(globals.analyse({ body: [] })).toBeJSONEquals({ defines: {}, reads: {} });
+        });
+    });
+
+    describe("linting requirements", function () {
+        it ("must report globals used without requiring their modules under strict mode", function (done) {
+            jslink.build({
+                source: "tests/structure/globals",
+                lintGlobals: true,
+                test: true
+            }).then(null, function (error) {
+                expect(error.message).toBe("1 missing requirement detected under strict mode.\n- theme uses Chart " +
+                    "of chart at tests/structure/globals/theme.js:6");
+                done();
+            });
+        });
+
+        it ("must not take the wrapper globals option for the globals of sources", function (done) {
+            jslink.build({
+                source: "tests/structure/globals",
+                globals: "jq=jquery",
+                strict: false,
+                test: true
+            }).then(function (result) {
+                expect(result.stat.undeclaredRequirements).toBeJSONEquals([]);
+                return jslink.build({
+                    source: "tests/structure/globals",
+                    globals: "jq=jquery",
+                    lintGlobals: true,
+                    strict: false,
+                    test: true
+                });
+            }).then(function (result) {
+                expect(result.stat.undeclaredRequirements.length).toBe(1);
+                done();
+            }).then(null, function (error) {
+                expect(error).toBeUndefined();
+                done();
+            });
+        });
+
+        it ("must ignore globals of sources that are not an analysis", function () {
+            var collection = new ModuleCollection();
+
+            collection.add("main", "main.js");
+            collection._globals = {
+                "main.js": { defines: null },
+                "util.js": true
+            };
+            expect(collection.analyse().undeclaredRequirements).toBeJSONEquals([]);
+        });
+
+        it ("must note the requirements that are missing or never used", function (done) {
+            jslink.build({
+                source: "tests/structure/globals",
+                lintGlobals: true,
+                strict: false,
+                test: true
+            }).then(function (result) {
+                expect(result.stat.undeclaredRequirements.map(function (item) {
+                    return [item.module.name, item.name, item.require.name, item.line];
+                })).toBeJSONEquals([["theme", "Chart", "chart", 6]]);
+                expect(result.stat.unusedRequirements.map(function (dependency) {
+                    return [dependency.module.name, dependency.require.name, dependency.line];
+                })).toBeJSONEquals([["theme", "core", 3]]);
+                done();
+            });
+        });
+
+        it ("must not lint unless asked to", function (done) {
+            jslink.build({
+                source: "tests/structure/globals",
+                test: true
+            }).then(function (result) {
+                expect(result.stat.undeclaredRequirements).toBeJSONEquals([]);
+                expect(result.stat.unusedRequirements).toBeJSONEquals([]);
+                done();
+            });
+        });
+    });
+});
\ No newline at end of file
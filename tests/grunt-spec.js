@@ -0,0 +1,78 @@
+describe("grunt task", function () {
+    var jslink = require("../src/core.js"),
+        jslinkGrunt = require("../src/grunt.js"),
+
+        // Minimal implementation of the Grunt API that the task uses.
+        run = function (target, result, callback) {
+            var log = [],
+                grunt = {
+                    log: {
+                        writeln: function (message) {
+                            log.push(message);
+                        },
+                        ok: function (message) {
+                            log.push(message);
+                        },
+                        error: function (message) {
+                            log.push(message);
+                        }
+                    },
+                    registerMultiTask: function (name, description, task) {
+                        grunt.task = task;
+                    }
+                };
+
+            spyOn(jslink, "build").andReturn(result);
+            jslinkGrunt(grunt);
+            grunt.task.call({
+                filesSrc: target.src,
+                files: [{ dest: target.dest }],
+                options: function () {
+                    return target.options;
+                },
+                async: function () {
+                    return function (success) {
+                        callback(success, log);
+                    };
+                }
+            });
+        };
+
+    it ("must build the sources of the target into its destination", function (done) {
+        run({
+            src: ["src/"],
+            dest: "out",
+            options: { recursive: true }
+        }, Promise.resolve({
+            outputs: [{ path: "out/main.js" }],
+            stat: {
+                filesProcessed: 2,
+                definedModules: ["main", "helper"],
+                numberOfExports: 1
+            }
+        }), function (success, log) {
+            expect(jslink.build).toHaveBeenCalledWith({
+                recursive: true,
+                source: ["src/"],
+                destination: "out/"
+            });
+            expect(success).toBe(undefined);
+            expect(log).toBeJSONEquals(["File out/main.js created.", "2 files with 2 modules processed for 1 " +
+                "export directive."]);
+            done();
+        });
+    });
+
+    it ("must fail the task when linking fails", function (done) {
+        var error = new Error("Source path \"missing/\" does not exist or is not readable.");
+
+        run({
+            src: ["missing/"],
+            options: {}
+        }, Promise.reject(error), function (success, log) {
+            expect(success).toBe(false);
+            expect(log).toBeJSONEquals(["Source path \"missing/\" does not exist or is not readable."]);
+            done();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+describe("gulp plugin", function () {
+    var BASE = "/project/src/",
+
+        jslinkGulp = require("../src/gulp.js"),
+
+        // Minimal implementation of the file objects that Gulp sends through streams.
+        File = function (options) {
+            this.cwd = options.cwd;
+            this.base = options.base;
+            this.path = options.path;
+            this.contents = options.contents;
+        },
+
+        link = function (files, options, callback) {
+            var plugin = jslinkGulp(options),
+                output = [];
+
+            plugin.on("data", function (file) {
+                output.push(file);
+            });
+            plugin.on("error", function (error) {
+                callback(error);
+            });
+            plugin.on("end", function () {
+                callback(null, output);
+            });
+
+            files.forEach(function (file) {
+                plugin.write(file);
+            });
+            plugin.end();
+        },
+
+        file = function (name, content) {
+            return new File({
+                cwd: "/project/",
+                base: BASE,
+                path: BASE + name,
+                contents: Buffer.from(content)
+            });
+        };
+
+    File.prototype.isNull = function () {
+        return this.contents === null;
+    };
+    File.prototype.isStream = function () {
+        return false;
+    };
+
+    it ("must emit one file per export with concatenated content", function (done) {
+        link([
+            file("main.js", "/**\n * @module main\n * @requires helper\n * @export main.js\n */\nmain();\n"),
+            file("helper.js", "/**\n * @module helper\n */\nhelper();\n")
+        ], {}, function (error, output) {
+            expect(error).toBe(null);
+            expect(output.length).toBe(1);
+            expect(output[0] instanceof File).toBe(true);
+            expect(output[0].path).toBe(BASE + "main.js");
+            expect(output[0].contents.toString()).toBe("/**\n * @module helper\n */\nhelper();\n" +
+                "/**\n * @module main\n * @requires helper\n * @export main.js\n */\nmain();\n");
+            done();
+        });
+    });
+
+    it ("must emit source maps when asked for", function (done) {
+        link([
+            file("main.js", "/**\n * @module main\n * @export main.js\n */\nmain();\n")
+        ], { sourceMap: true }, function (error, output) {
+            expect(output.map(function (file) {
+                return file.path;
+            })).toBeJSONEquals([BASE + "main.js", BASE + "main.js.map"]);
+            expect(JSON.parse(output[1].contents.toString()).sources).toBeJSONEquals(["main.js"]);
+            done();
+        });
+    });
+
+    it ("must replace tokens within files that exist only within the stream", function (done) {
+        link([
+            file("main.js", "/**\n * @module main\n * @export main.js\n */\nmain(\"__VERSION__\");\n")
+        ], { replaceTokens: true, define: "VERSION=1.2.0" }, function (error, output) {
+            expect(error).toBe(null);
+            expect(output[0].contents.toString()).toBe("/**\n * @module main\n * @export main.js\n */\n" +
+                "main(\"1.2.0\");\n");
+            done();
+        });
+    });
+
+    it ("must prepare the options from the configuration file as a build does", function (done) {
+        var fs = require("fs"),
+            pathUtil = require("path"),
+            // Configuration files are read relative to the working directory.
+            conf = pathUtil.relative(".", pathUtil.join(require("os").tmpdir(), "jslink-spec-gulp-conf.json"));
+
+        fs.writeFileSync(conf, JSON.stringify({
+            defines: ["FULL", "VERSION=2.0.0"],
+            options: {
+                replaceTokens: "true"
+            }
+        }));
+        link([
+            file("main.js", "/**\n * @module main\n * @requires-if FULL extra\n * @export main.js\n */\n" +
+                "main(\"__VERSION__\");\n"),
+            file("extra.js", "/**\n * @module extra\n */\nextra();\n")
+        ], { conf: conf }, function (error, output) {
+            fs.unlinkSync(conf);
+            expect(error).toBe(null);
+            expect(output[0].contents.toString()).toBe("/**\n * @module extra\n */\nextra();\n" +
+                "/**\n * @module main\n * @requires-if FULL extra\n * @export main.js\n */\nmain(\"2.0.0\");\n");
+            done();
+        });
+    });
+
+    it ("must not write the dependency map or manifest to the file-system", function (done) {
+        var fs = require("fs"),
+            tmp = require("path").join(require("os").tmpdir(), "jslink-spec-gulp-"),
+            paths = [tmp + "map.dot", tmp + "manifest.json"];
+
+        paths.forEach(function (path) {
+            fs.existsSync(path) && fs.unlinkSync(path);
+        });
+        link([
+            file("main.js", "/**\n * @module main\n * @export main.js\n */\nmain();\n")
+        ], { exportmap: paths[0], manifest: paths[1] }, function (error, output) {
+            expect(error).toBe(null);
+            expect(output.length).toBe(1);
+            expect(paths.filter(fs.existsSync)).toBeJSONEquals([]);
+            done();
+        });
+    });
+
+    it ("must send linking errors to the stream", function (done) {
+        link([
+            file("main.js", "/**\n * @module main\n * @requires missing\n * @export main.js\n */\n")
+        ], {}, function (error) {
+            expect(error.message).toBe("1 orphan module detected under strict mode.\n- missing");
+            done();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,371 @@
+describe("io module", function () {
+    var ModuleCollection = require("../src/collection.js"),
+        moduleIO = require("../src/io.js");
+
+    describe("`io.exportCollectionToFS` in test mode", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.add("core", "core.js");
+            collection.add("util", "util.js");
+            collection.add("a", "a.js").addExport("a.js");
+            collection.add("b", "b.js").addExport("b.js");
+            collection.connect("util", "core");
+            collection.connect("a", "util");
+            collection.connect("b", "core");
+        });
+
+        it ("must export every connected module by default", function () {
+            var matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true);
+
+            expect(matrix.length).toBe(1);
+            expect(matrix[0].sources.length).toBe(4);
+            expect(matrix[0].exports.sort()).toBeJSONEquals(["a.js", "b.js"]);
+        });
+
+        it ("must export the sources that come before a source defining several modules", function () {
+            var several = new ModuleCollection();
+
+            several.add("core", "core.js");
+            several.add("a", "ab.js").addExport("ab.js");
+            several.add("b", "ab.js");
+            several.connect("a", "core");
+            several.connect("b", "core");
+            several.connect("b", "a");
+
+            expect(moduleIO.exportCollectionToFS(several, undefined, false, true)).toBeJSONEquals([
+                { sources: ["core.js", "ab.js"], exports: ["ab.js"] }
+            ]);
+        });
+
+        it ("must not export groups having only undefined modules", function () {
+            var missing = new ModuleCollection();
+
+            missing.connect("plugin", "jquery");
+            expect(moduleIO.exportCollectionToFS(missing, undefined, false, true)).toBeJSONEquals([]);
+        });
+
+        it ("must export only the required modules in closure mode", function () {
+            var matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true, undefined, {
+                exportMode: "closure"
+            });
+
+            expect(matrix).toBeJSONEquals([
+                { sources: ["core.js", "util.js", "a.js"], exports: ["a.js"] },
+                { sources: ["core.js", "b.js"], exports: ["b.js"] }
+            ]);
+        });
+
+        it ("must move shared sources to the common chunk", function () {
+            var matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true, undefined, {
+                exportMode: "closure",
+                commonChunk: true
+            });
+
+            expect(matrix).toBeJSONEquals([
+                { sources: ["util.js", "a.js"], exports: ["a.js"], chunks: ["common.js"] },
+                { sources: ["b.js"], exports: ["b.js"], chunks: ["common.js"] },
+                { sources: ["core.js"], exports: ["common.js"] }
+            ]);
+        });
+
+        it ("must not move the sources shared only by the export files of a group to the common chunk", function () {
+            var matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true, undefined, {
+                commonChunk: true
+            });
+
+            expect(matrix.map(function (bundle) {
+                return [bundle.exports, bundle.sources.length, bundle.chunks];
+            }).sort()).toBeJSONEquals([[["a.js"], 4, undefined], [["b.js"], 4, undefined]]);
+        });
+
+        it ("must not accept an unknown export mode", function () {
+            expect(function () {
+                moduleIO.exportCollectionToFS(collection, undefined, false, true, undefined, { exportMode: "none" });
+            }).toThrow(new Error("Unknown export mode \"none\"."));
+        });
+    });
+
+    describe("`io.exportCollectionToFS`", function () {
+        var fs = require("fs"),
+            pathUtil = require("path"),
+            folder,
+            files;
+
+        beforeEach(function () {
+            var collection = new ModuleCollection();
+
+            folder = fs.mkdtempSync(pathUtil.join(require("os").tmpdir(), "jslink-"));
+            fs.writeFileSync(pathUtil.join(folder, "core.js"), "var core;\n");
+            fs.writeFileSync(pathUtil.join(folder, "main.js"), "var main;\n");
+            collection.add("core", pathUtil.join(folder, "core.js"));
+            collection.add("main", pathUtil.join(folder, "main.js")).addExport("main.js");
+            collection.connect("main", "core");
+
+            moduleIO.exportCollectionToFS(collection, pathUtil.join(folder, "out/"), true, false, undefined, {
+                sourceMap: true
+            });
+            files = fs.readdirSync(pathUtil.join(folder, "out/")).sort();
+        });
+
+        afterEach(function () {
+            files.forEach(function (file) {
+                fs.unlinkSync(pathUtil.join(folder, "out", file));
+            });
+            fs.rmdirSync(pathUtil.join(folder, "out/"));
+            fs.unlinkSync(pathUtil.join(folder, "core.js"));
+            fs.unlinkSync(pathUtil.join(folder, "main.js"));
+            fs.rmdirSync(folder);
+        });
+
+        it ("must write the source map next to the export file", function () {
+            var map = JSON.parse(fs.readFileSync(pathUtil.join(folder, "out/main.js.map")).toString());
+
+            expect(files).toBeJSONEquals(["main.js", "main.js.map"]);
+            expect(map.file).toBe("main.js");
+            expect(map.sources).toBeJSONEquals(["../core.js", "../main.js"]);
+            expect(fs.readFileSync(pathUtil.join(folder, "out/main.js")).toString())
+                .toBe("var core;\nvar main;\n//# sourceMappingURL=main.js.map\n");
+        });
+    });
+
+    describe("`io.writeCollectionToManifest`", function () {
+        var fs = require("fs"),
+            path = require("path").join(require("os").tmpdir(), "jslink-spec-manifest.json"),
+            manifest;
+
+        beforeEach(function () {
+            var collection = new ModuleCollection(),
+                matrix;
+
+            collection.add("core", "core.js");
+            collection.add("main", "main.js").addExport("main.js");
+            collection.connect("main", "core");
+            collection.connect("main", "missing");
+
+            matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true);
+            moduleIO.writeCollectionToManifest(collection, matrix, path, true);
+            manifest = JSON.parse(fs.readFileSync(path));
+            fs.unlinkSync(path);
+        });
+
+        it ("must describe every module", function () {
+            expect(manifest.modules).toBeJSONEquals([
+                {
+                    name: "core",
+                    source: "core.js",
+                    provides: [],
+                    requires: [],
+                    dependants: ["main"],
+                    exports: [],
+                    index: 0
+                },
+                {
+                    name: "main",
+                    source: "main.js",
+                    provides: [],
+                    requires: ["core", "missing"],
+                    dependants: [],
+                    exports: ["main.js"],
+                    index: 0
+                },
+                { name: "missing", provides: [], requires: [], dependants: ["main"], exports: [], index: 0 }
+            ]);
+        });
+
+        it ("must describe every export file with its ordered sources", function () {
+            expect(manifest.exports).toBeJSONEquals([
+                { name: "main.js", sources: ["core.js", "main.js"], chunks: [] }
+            ]);
+        });
+    });
+
+    describe("`io.writeCollectionToHTML`", function () {
+        var fs = require("fs"),
+            path = require("path").join(require("os").tmpdir(), "jslink-spec-map.html"),
+            html;
+
+        beforeEach(function () {
+            var collection = new ModuleCollection();
+
+            collection.add("main", "main.js");
+            collection.connect("main", "</script>");
+
+            moduleIO.writeCollectionToHTML(collection, path, true);
+            html = fs.readFileSync(path).toString();
+            fs.unlinkSync(path);
+        });
+
+        it ("must embed the graph of every module in the page", function () {
+            expect(html).toContain("{\"name\":\"main\",\"source\":\"main.js\",\"provides\":[]," +
+                "\"requires\":[\"<\\/script>\"]");
+            expect(html).not.toContain("{{graph}}");
+        });
+
+        it ("must not allow module names to end the embedded script", function () {
+            expect(html.match(/<\/script>/g).length).toBe(1);
+        });
+    });
+
+    describe("`io.concatenateSources`", function () {
+        var files = {
+                "a.js": "var a = 1",
+                "b.js": "var b = 2;\n"
+            },
+            read = function (source) {
+                return files[source];
+            };
+
+        it ("must strip the module syntax of ES modules only", function () {
+            files["m.js"] = "import { a } from \"./a.js\";\nexport var m = a;\n";
+            expect(moduleIO.concatenateSources(["a.js", "m.js"], "out.js", { stripModuleSyntax: true }, read).content)
+                .toBe("var a = 1\n\nvar m = a;\n");
+            delete files["m.js"];
+        });
+
+        it ("must start every source on a new line", function () {
+            expect(moduleIO.concatenateSources(["a.js", "b.js"], "out.js", {}, read).content)
+                .toBe("var a = 1\nvar b = 2;\n");
+        });
+
+        it ("must write the banner, separators and footer with their tokens", function () {
+            expect(moduleIO.concatenateSources(["a.js", "b.js"], "out.js", {}, read, {
+                banner: "/*! {{exportName}} v{{version}} */",
+                separator: "// {{module}} ({{source}}) {{unknown}}",
+                footer: "// end of {{exportName}}",
+                tokens: { exportName: "out.js", version: "1.0.0" },
+                modules: { "a.js": "a" }
+            }).content).toBe("/*! out.js v1.0.0 */\n// a (a.js) {{unknown}}\nvar a = 1\n// " +
+                " (b.js) {{unknown}}\nvar b = 2;\n// end of out.js\n");
+        });
+
+        it ("must map sources after the templates", function () {
+            expect(moduleIO.concatenateSources(["a.js", "b.js"], "out.js", { sourceMap: true }, read, {
+                banner: "/*!\n * banner\n */",
+                separator: "//",
+                tokens: {}
+            }).map.mappings()).toBe(";;;;AAAA;;ACAA;");
+        });
+
+        it ("must wrap the content as an iife within the banner", function () {
+            expect(moduleIO.concatenateSources(["a.js"], "out.js", {
+                wrap: "iife",
+                globals: ["win=window", "doc=document"],
+                wrapExports: "a"
+            }, read, { banner: "/*! a */" }).content).toBe("/*! a */\nvar a = (function (win, doc) {\nvar a = 1\n" +
+                "return a;\n}(window, document));\n");
+        });
+
+        it ("must wrap the content as an amd or commonjs module", function () {
+            var options = { wrap: "amd", globals: { $: "jquery" }, wrapExports: "a" };
+
+            expect(moduleIO.concatenateSources(["a.js"], "out.js", options, read).content)
+                .toBe("define([\"jquery\"], function ($) {\nvar a = 1\nreturn a;\n});\n");
+            options.wrap = "commonjs";
+            expect(moduleIO.concatenateSources(["a.js"], "out.js", options, read).content)
+                .toBe("var $ = require(\"jquery\");\nvar a = 1\nmodule.exports = a;\n");
+        });
+
+        it ("must wrap the content as a umd module that also sets a global", function () {
+            var content = moduleIO.concatenateSources(["a.js"], "out.js", { wrap: "umd", globals: "jquery",
+                wrapExports: "a" }, read).content;
+
+            expect(content).toContain("define([\"jquery\"], factory);");
+            expect(content).toContain("module.exports = factory(require(\"jquery\"));");
+            expect(content).toContain("root.a = factory(root[\"jquery\"]);");
+            expect(content).toContain("}(this, function (jquery) {\nvar a = 1\nreturn a;\n}));\n");
+        });
+
+        it ("must wrap every source in a scope of its own when asked to", function () {
+            expect(moduleIO.concatenateSources(["a.js", "b.js"], "out.js", { wrapSources: true }, read).content)
+                .toBe("(function () {\nvar a = 1\n}());\n(function () {\nvar b = 2;\n}());\n");
+        });
+
+        it ("must prefer the wrapper of the export template over the options", function () {
+            expect(moduleIO.concatenateSources(["b.js"], "out.js", { wrap: "umd" }, read, { wrap: "commonjs" }).content)
+                .toBe("var b = 2;\n");
+        });
+
+        it ("must map sources after the wrapper", function () {
+            expect(moduleIO.concatenateSources(["a.js", "b.js"], "out.js", { sourceMap: true, wrap: "iife",
+                wrapSources: true }, read).map.mappings()).toBe(";;AAAA;;;ACAA;;;");
+        });
+
+        it ("must replace the tokens that have a replacement", function () {
+            expect(moduleIO.concatenateSources(["c.js"], "out.js", {
+                replacements: { VERSION: "2.0.0", EMPTY: "" }
+            }, function () {
+                return "var v = \"__VERSION__\", e = \"__EMPTY__\", u = __UNKNOWN__, p = {}.__proto__;\n";
+            }).content).toBe("var v = \"2.0.0\", e = \"\", u = __UNKNOWN__, p = {}.__proto__;\n");
+        });
+
+        it ("must strip the comments having directives while retaining their lines", function () {
+            expect(moduleIO.concatenateSources(["d.js"], "out.js", { strip: true }, function () {
+                return "/*! licence */\n/**\n * @module d\n * @requires a\n */\n/** doc */\nvar d = 1; // d\n";
+            }).content).toBe("/*! licence */\n\n\n\n\n/** doc */\nvar d = 1; // d\n");
+        });
+
+        it ("must strip all doc-comments or all comments except licences", function () {
+            var read = function () {
+                return "/*! licence */\n/** doc */\nvar d = 1/* x */+2; // d\n";
+            };
+
+            expect(moduleIO.concatenateSources(["d.js"], "out.js", { strip: "jsdoc" }, read).content)
+                .toBe("/*! licence */\n \nvar d = 1/* x */+2; // d\n");
+            expect(moduleIO.concatenateSources(["d.js"], "out.js", { strip: "comments" }, read).content)
+                .toBe("/*! licence */\n \nvar d = 1 +2;  \n");
+        });
+
+        it ("must reject an unknown strip mode", function () {
+            expect(function () {
+                moduleIO.concatenateSources(["a.js"], "out.js", { strip: "all" }, read);
+            }).toThrow(new Error("Unknown strip mode \"all\"."));
+        });
+
+        it ("must reject an unknown wrapper format", function () {
+            expect(function () {
+                moduleIO.concatenateSources(["a.js"], "out.js", { wrap: "system" }, read);
+            }).toThrow(new Error("Unknown wrapper format \"system\"."));
+        });
+    });
+
+    describe("`io.scanTokens`", function () {
+        it ("must note the line of every token and whether it is known", function () {
+            expect(moduleIO.scanTokens(["a.js", "b.js"], { VERSION: "2.0.0" }, function (source) {
+                return source === "a.js" ? "// __VERSION__\nvar a = __DEBUG__ || __VERSION__;" : "var b;";
+            })).toBeJSONEquals({
+                "a.js": [
+                    { name: "VERSION", line: 1, known: true },
+                    { name: "DEBUG", line: 2, known: false },
+                    { name: "VERSION", line: 2, known: true }
+                ]
+            });
+        });
+    });
+
+    describe("`io.exportTemplate`", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            collection.add("main", "main.js", "2.1.0").addExport("main.js", { banner: "main", footer: "end" });
+        });
+
+        it ("must prefer templates of the option over the export directive over the default", function () {
+            var template = moduleIO.exportTemplate(collection, "main.js", {
+                exports: {
+                    "*": { banner: "all", separator: "//" },
+                    "main.js": { footer: "main end" }
+                }
+            });
+
+            expect([template.banner, template.separator, template.footer]).toBeJSONEquals(["main", "//", "main end"]);
+        });
+
+        it ("must provide the version of the module declaring the export", function () {
+            expect(moduleIO.exportTemplate(collection, "main.js").tokens.version).toBe("2.1.0");
+            expect(moduleIO.exportTemplate(collection, "main.js").modules["main.js"]).toBe("main");
+        });
+    });
+});
\ No newline at end of file
@@ -68,4 +68,65 @@ describe("library module", function () {
         })
     });
 
+    describe("`lib.parseDefines`", function () {
+        it ("must set flags without value to true", function () {
+            expect(lib.parseDefines(["DEBUG", "VERSION=1.2"])).toBeJSONEquals({ DEBUG: true, VERSION: "1.2" });
+        });
+
+        it ("must accept a single definition", function () {
+            expect(lib.parseDefines("DEBUG")).toBeJSONEquals({ DEBUG: true });
+        });
+
+        it ("must return objects as is", function () {
+            var defines = { DEBUG: true };
+            expect(lib.parseDefines(defines)).toBe(defines);
+        });
+
+        it ("must ignore blank definitions", function () {
+            expect(lib.parseDefines()).toBeJSONEquals({});
+            expect(lib.parseDefines([true, " "])).toBeJSONEquals({});
+        });
+    });
+
+    describe("`lib.orderedKeys`", function () {
+        it ("must list the referenced keys first", function () {
+            expect(lib.orderedKeys({ a: 1, b: 2, c: 3 }, ["c", "x"])).toBeJSONEquals(["c", "a", "b"]);
+        });
+
+        it ("must list every key of the type asked for, however many", function () {
+            var object = {};
+
+            "abcdefghijkl".split("").forEach(function (key) {
+                object[key] = function () {};
+            });
+            object.z = "not a function";
+
+            expect(lib.orderedKeys(object, [], (/^function$/))).toBeJSONEquals("abcdefghijkl".split(""));
+            expect(lib.orderedKeys(object, []).length).toBe(13);
+        });
+    });
+
+    describe("`lib.globToRegExp`", function () {
+        it ("must match a wildcard within one folder only", function () {
+            expect(lib.globToRegExp("vendor/*.js").test("vendor/jquery.js")).toBe(true);
+            expect(lib.globToRegExp("vendor/*.js").test("vendor/extra/jquery.js")).toBe(false);
+            expect(lib.globToRegExp("vendor/*.js").test("vendor/jquery.css")).toBe(false);
+        });
+
+        it ("must match nested folders with a double wildcard", function () {
+            expect(lib.globToRegExp("locales/**").test("locales/en/strings.js")).toBe(true);
+            expect(lib.globToRegExp("locales/**/*.js").test("locales/strings.js")).toBe(true);
+            expect(lib.globToRegExp("locales/**/*.js").test("locales/en/us/strings.js")).toBe(true);
+        });
+
+        it ("must match one character with a question mark", function () {
+            expect(lib.globToRegExp("v?.js").test("v1.js")).toBe(true);
+            expect(lib.globToRegExp("v?.js").test("v10.js")).toBe(false);
+        });
+
+        it ("must not treat other characters as special", function () {
+            expect(lib.globToRegExp("a+b(1).js").test("a+b(1).js")).toBe(true);
+            expect(lib.globToRegExp("a.js").test("abjs")).toBe(false);
+        });
+    });
 });
\ No newline at end of file
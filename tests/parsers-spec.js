@@ -0,0 +1,189 @@
+describe("parsers module", function () {
+    var SOURCE_PATH = "tests/structure/conditional/",
+
+        ModuleCollection = require("../src/collection.js"),
+        moduleIO = require("../src/io.js");
+
+    describe("conditional directives", function () {
+        var load = function (defines) {
+            return moduleIO.populateCollectionFromFS(new ModuleCollection(), SOURCE_PATH, false, undefined, undefined,
+                defines);
+        };
+
+        it ("must not define modules guarded by an undefined flag", function () {
+            expect(load().get("debug")).toBeUndefined();
+        });
+
+        it ("must define modules guarded by a defined flag", function () {
+            expect(load({ DEBUG: true }).get("debug").defined()).toBe(true);
+        });
+
+        it ("must add conditional requirements only when the flag is defined", function () {
+            expect(load().get("main").requires.debug).toBeUndefined();
+            expect(load({ DEBUG: true }).get("main").requires.debug).toBeDefined();
+        });
+
+        it ("must add negated conditional requirements only when the flag is not defined", function () {
+            expect(load().get("main").requires.realtime).toBeDefined();
+            expect(load({ NO_REALTIME: true }).get("main").requires.realtime).toBeUndefined();
+        });
+
+        it ("must not confuse conditional requirements with plain requirements", function () {
+            expect(Object.keys(load().get("main").requires).sort()).toBeJSONEquals(["core", "realtime"]);
+        });
+    });
+
+    describe("versioned directives", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = moduleIO.populateCollectionFromFS(new ModuleCollection(), "tests/structure/versioned/");
+        });
+
+        it ("must define modules with their version", function () {
+            expect(collection.get("event").version).toBe("2.3.0");
+            expect(collection.get("chart").version).toBeUndefined();
+        });
+
+        it ("must not treat the version range as part of the required module name", function () {
+            expect(Object.keys(collection.get("chart").requires).sort()).toBeJSONEquals(["event", "legacy"]);
+            expect(collection.getDependency("chart", "event").range).toBe(">=2.0 <3");
+        });
+
+        it ("must report requirements whose version does not match", function () {
+            expect(collection.analyse().versionMismatches.map(String)).toBeJSONEquals(["\"chart\"->\"legacy\";"]);
+        });
+
+        it ("must ignore text after the module name that is not a version", function () {
+            var module = require("../src/parsers.js").directives.module.call({
+                collection: new ModuleCollection(),
+                path: "core.js"
+            }, {}, "core The core module");
+
+            expect(module.name).toBe("core");
+            expect(module.version).toBeUndefined();
+        });
+    });
+
+    describe("`@provides` directive", function () {
+        var collection;
+
+        beforeEach(function () {
+            collection = moduleIO.populateCollectionFromFS(new ModuleCollection(), "tests/structure/aliased/");
+        });
+
+        it ("must resolve aliases to the module providing them", function () {
+            expect(collection.get("legacy.event")).toBe(collection.get("fusioncharts.event"));
+            expect(collection.get("chart").requires["fusioncharts.event"]).toBe(collection.get("legacy.event"));
+        });
+
+        it ("must not add aliases as modules", function () {
+            expect(Object.keys(collection.modules).sort()).toBeJSONEquals(["chart", "fusioncharts.event", "widget"]);
+            expect(collection.analyse().orphanModules.length).toBe(0);
+        });
+    });
+
+    describe("optional and ordering directives", function () {
+        var collection,
+            matrix;
+
+        beforeEach(function () {
+            collection = moduleIO.populateCollectionFromFS(new ModuleCollection(), "tests/structure/ordered/");
+            matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true);
+        });
+
+        it ("must place a module after the module it follows when both are linked", function () {
+            expect(matrix.filter(function (bundle) {
+                return bundle.exports[0] === "chart.js";
+            })[0].sources.map(function (source) {
+                return require("path").basename(source);
+            })).toBeJSONEquals(["core.js", "maps.js", "chart.js"]);
+        });
+
+        it ("must not link the module that is followed unless it is required", function () {
+            expect(matrix.filter(function (bundle) {
+                return bundle.exports[0] === "widget.js";
+            })[0].sources.length).toBe(1);
+        });
+
+        it ("must not report optional requirements that are not defined as orphans", function () {
+            var stat = collection.analyse();
+
+            expect(stat.orphanModules.length).toBe(0);
+            expect(stat.optionalModules.map(String)).toBeJSONEquals(["theme"]);
+        });
+    });
+
+    describe("`@requires` with file patterns", function () {
+        var pathUtil = require("path");
+
+        it ("must require every matching file in sorted order", function () {
+            var collection = moduleIO.populateCollectionFromFS(new ModuleCollection(), "tests/structure/globbed/"),
+                matrix = moduleIO.exportCollectionToFS(collection, undefined, false, true);
+
+            expect(matrix[0].sources.map(function (source) {
+                return pathUtil.relative("tests/structure/globbed", source).split(pathUtil.sep).join("/");
+            })).toBeJSONEquals(["vendor/jquery.js", "vendor/raphael.js", "locales/en/strings.js",
+                "locales/fr/strings.js", "app.js"]);
+        });
+
+        it ("must report patterns that do not match any file", function () {
+            var collection = new ModuleCollection(),
+                scope = {
+                    collection: collection,
+                    path: "tests/structure/globbed/app.js"
+                };
+
+            expect(function () {
+                require("../src/parsers.js").directives.requires.call(scope, {
+                    module: collection.add("app", scope.path)
+                }, "./missing/*.js");
+            }).toThrow(new Error("No external module file matches: \"" +
+                pathUtil.join("tests/structure/globbed", "missing/*.js") + "\""));
+        });
+    });
+
+    describe("`@export` directive", function () {
+        var parsers = require("../src/parsers.js"),
+            collection,
+            scope;
+
+        beforeEach(function () {
+            collection = new ModuleCollection();
+            scope = {
+                collection: collection,
+                path: "main.js",
+                line: 3
+            };
+        });
+
+        it ("must read the templates that follow the export file name", function () {
+            var module = collection.add("main", "main.js");
+
+            parsers.directives["export"].call(scope, { module: module }, "main.js {\"banner\": \"/*! main *\\/\"}");
+            expect(module.exports).toBeJSONEquals(["main.js"]);
+            expect(module.exportTemplates["main.js"]).toBeJSONEquals({ banner: "/*! main */" });
+        });
+
+        it ("must read templates having `@` or spanning lines from the comment block", function () {
+            var Source = require("../src/source.js"),
+                module;
+
+            new Source("main.js", "/**\n * @module main\n * @export main.js {\"banner\": \"/*! @license MIT *\\/\",\n" +
+                " *     \"footer\": \"// {\\\"@\\\"}\"}\n * @export other.js\n */").parseDirectives(parsers.directives,
+                parsers.order, scope);
+            module = collection.get("main");
+            expect(module.exports).toBeJSONEquals(["main.js", "other.js"]);
+            expect(module.exportTemplates["main.js"]).toBeJSONEquals({
+                banner: "/*! @license MIT */",
+                footer: "// {\"@\"}"
+            });
+        });
+
+        it ("must report templates that are not valid JSON", function () {
+            expect(function () {
+                parsers.directives["export"].call(scope, { module: collection.add("main", "main.js") }, "main.js {x}");
+            }).toThrow();
+        });
+    });
+});
\ No newline at end of file
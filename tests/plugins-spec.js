@@ -0,0 +1,138 @@
+describe("plugins module", function () {
+    var plugins = require("../src/plugins.js"),
+        parsers = require("../src/parsers.js"),
+        jslink = require("../src/core.js"),
+        stages = [],
+        plugin = {
+            directives: {
+                category: function (ns, value, context) {
+                    ns.module && (ns.module.category = [value, context.source, context.line]);
+                }
+            },
+            beforeExport: function (collection) {
+                stages.push(["beforeExport", collection.numberOfModules]);
+            },
+            afterExport: function (collection, matrix) {
+                stages.push(["afterExport", matrix.length]);
+            }
+        };
+
+    // Plugins change the directives and hooks of every build and hence are removed after each spec.
+    afterEach(function () {
+        plugins.unregister(plugin);
+        plugins.unregister(require("./structure/plugged/plugin/deprecated.js"));
+    });
+
+    it ("must add directives that receive their context", function (done) {
+        plugins.register(plugin);
+        jslink.build({
+            source: "tests/structure/plugged",
+            test: true
+        }).then(function (result) {
+            expect(result.collection.get("main").category).toBeJSONEquals(["charts",
+                require("path").resolve("tests/structure/plugged/main.js"), 4]);
+            done();
+        });
+    });
+
+    it ("must call the hooks before and after export", function (done) {
+        stages = [];
+        plugins.register(plugin);
+        jslink.build({
+            source: "tests/structure/plugged",
+            test: true
+        }).then(function () {
+            expect(stages).toBeJSONEquals([["beforeExport", 2], ["afterExport", 1]]);
+            done();
+        });
+    });
+
+    it ("must load plugins by path and run their analysers", function (done) {
+        jslink.build({
+            source: "tests/structure/plugged",
+            plugin: "./tests/structure/plugged/plugin/deprecated.js",
+            test: true
+        }).then(function (result) {
+            expect(result.stat.deprecatedModules.map(function (module) {
+                return module.name + ": " + module.deprecated;
+            })).toBeJSONEquals(["util: Use lib instead. (3)"]);
+            done();
+        });
+    });
+
+    it ("must remove the directives, analysers and hooks of plugins that are unregistered", function (done) {
+        stages = [];
+        plugins.register(plugin);
+        plugins.load("./tests/structure/plugged/plugin/deprecated.js");
+        plugins.unregister(plugin);
+        plugins.unregister(require("./structure/plugged/plugin/deprecated.js"));
+
+        jslink.build({
+            source: "tests/structure/plugged",
+            test: true
+        }).then(function (result) {
+            expect(parsers.directives.category).toBe(undefined);
+            expect(result.collection.get("main").category).toBe(undefined);
+            expect(result.stat.deprecatedModules).toBe(undefined);
+            expect(stages).toBeJSONEquals([]);
+            done();
+        }, function (error) {
+            expect(error).toBeUndefined();
+            done();
+        });
+    });
+
+    it ("must unload the plugins of a build once it is done", function (done) {
+        stages = [];
+        jslink.build({
+            source: "tests/structure/plugged",
+            plugin: [plugin, "./tests/structure/plugged/plugin/deprecated.js"],
+            test: true
+        }).then(function (result) {
+            expect(result.collection.get("main").category).not.toBe(undefined);
+            expect(parsers.directives.category).toBe(undefined);
+
+            return jslink.build({
+                source: "tests/structure/plugged",
+                test: true
+            });
+        }).then(function (result) {
+            expect(result.collection.get("main").category).toBe(undefined);
+            expect(result.stat.deprecatedModules).toBe(undefined);
+            expect(stages).toBeJSONEquals([["beforeExport", 2], ["afterExport", 1]]);
+            done();
+        }, function (error) {
+            expect(error).toBeUndefined();
+            done();
+        });
+    });
+
+    it ("must keep the plugins that were registered before a build", function (done) {
+        plugins.register(plugin);
+        jslink.build({
+            source: "tests/structure/plugged",
+            plugin: plugin,
+            test: true
+        }).then(function () {
+            expect(parsers.directives.category).toBe(plugin.directives.category);
+            done();
+        });
+    });
+
+    it ("must not replace the directives that are already defined", function () {
+        expect(function () {
+            plugins.register({
+                directives: {
+                    module: function () {}
+                }
+            }, "plugin \"module\"");
+        }).toThrow(new Error("Directive @module of plugin \"module\" is already defined."));
+        expect(parsers.directives.module).not.toBe(undefined);
+    });
+
+    it ("must report plugins that cannot be loaded", function () {
+        expect(function () {
+            plugins.load("./tests/structure/plugged/missing.js");
+        }).toThrow();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+describe("source module", function () {
+    var Source = require("../src/source.js"),
+        comments = function (content) {
+            return new Source("test.js", content).ast.comments.map(function (comment) {
+                return [comment.type, comment.value, comment.loc.start.line];
+            });
+        };
+
+    describe("scanning for comments", function () {
+        it ("must find block and line comments along with their lines", function () {
+            expect(comments("/**\n * @module a\n */\nvar a = 1; // one\n/* two */")).toBeJSONEquals([
+                ["Block", "*\n * @module a\n ", 1],
+                ["Line", " one", 4],
+                ["Block", " two ", 5]
+            ]);
+        });
+
+        it ("must skip comments within strings and regular expressions", function () {
+            expect(comments("var a = \"/* no */\", b = '// no', c = /\\/* no [/]*/g; // yes")).toBeJSONEquals([
+                ["Line", " yes", 1]
+            ]);
+        });
+
+        it ("must tell divisions from regular expressions", function () {
+            expect(comments("var a = (b) / 2 /* yes */ / 3, c = d[0] / e; // yes")).toBeJSONEquals([
+                ["Block", " yes ", 1],
+                ["Line", " yes", 1]
+            ]);
+            expect(comments("function f() { return /* yes */ /\\/*/.test(x); }")).toBeJSONEquals([
+                ["Block", " yes ", 1]
+            ]);
+        });
+
+        it ("must tell divisions after increments, object literals and control statements", function () {
+            expect(comments("x = a++ / 2; /** @module a */ y = 1 / 2 / 3;")).toBeJSONEquals([
+                ["Block", "* @module a ", 1]
+            ]);
+            expect(comments("var o = {a: 1} / 2; /** @module a */")).toBeJSONEquals([
+                ["Block", "* @module a ", 1]
+            ]);
+            expect(comments("if (x) /\\/*x/.test(s); /** @module a */")).toBeJSONEquals([
+                ["Block", "* @module a ", 1]
+            ]);
+            expect(comments("if (x) { y(); } /\\/*x/.test(s); /** @module a */")).toBeJSONEquals([
+                ["Block", "* @module a ", 1]
+            ]);
+        });
+
+        it ("must skip template literals along with the expressions within them", function () {
+            expect(comments("var a = `/* no ${ { b: \"}\" }.b + `${c /* yes */}` } // no`;\n// yes")).toBeJSONEquals([
+                ["Block", " yes ", 1],
+                ["Line", " yes", 2]
+            ]);
+        });
+
+        it ("must scan sources that the parser is not asked to understand", function () {
+            expect(function () {
+                new Source("test.js", "const f = (a) => `${a}`;", { validateSyntax: true, ecmaVersion: "5" });
+            }).toThrow();
+            expect(comments("/** @module f */\nconst f = (a) => `${a}`;")).toBeJSONEquals([
+                ["Block", "* @module f ", 1]
+            ]);
+        });
+
+        it ("must report unterminated comments with their line and column", function () {
+            expect(function () {
+                new Source("test.js", "var a;\n  /* never ends");
+            }).toThrow("Unterminated comment\n> test.js:2:3");
+        });
+    });
+
+    describe("validating syntax", function () {
+        var lib = require("../src/lib.js"),
+            parse = function (content, options) {
+                return new Source("test.js", content, lib.copy({ validateSyntax: true }, options)).ast;
+            };
+
+        it ("must parse the latest syntax along with comments", function () {
+            var ast = parse("/** @module a */\nclass A { static #b = 1; async *c() { await d?.e ?? `${f}`; } }");
+
+            expect(ast.type).toBe("Program");
+            expect(ast.comments.map(function (comment) {
+                return [comment.type, comment.value, comment.loc.start.line, comment.range];
+            })).toBeJSONEquals([["Block", "* @module a ", 1, [0, 16]]]);
+        });
+
+        it ("must parse modules when asked to", function () {
+            expect(function () {
+                parse("import a from \"a\";");
+            }).toThrow();
+            expect(parse("import a from \"a\";\nexport default a;", { sourceType: "module" }).body.length).toBe(2);
+        });
+
+        it ("must report syntax errors with the file, line and column", function () {
+            expect(function () {
+                parse("var a = 1;\nvar b = (;");
+            }).toThrow("Unexpected token\n> test.js:2:10");
+            expect(function () {
+                parse("let a = 1;", { ecmaVersion: 5 });
+            }).toThrow("Unexpected token\n> test.js:1:5");
+        });
+
+        it ("must reject unknown versions and source types", function () {
+            expect(function () {
+                parse("var a;", { ecmaVersion: "next" });
+            }).toThrow("Unknown ECMAScript version \"next\".\n> test.js");
+            expect(function () {
+                parse("var a;", { sourceType: "commonjs" });
+            }).toThrow("Unknown source type \"commonjs\".\n> test.js");
+        });
+    });
+
+    describe("ES modules", function () {
+        var module = function (content) {
+            return new Source("test.js", content, { esModules: true });
+        };
+
+        it ("must list the imports of sources having module syntax", function () {
+            expect(module("/** @module a */\nimport b from \"./b.js\";\nexport * from \"c\";\nexport const d = 1;")
+                .imports).toBeJSONEquals([{ specifier: "./b.js", line: 2 }, { specifier: "c", line: 3 }]);
+            expect(new Source("test.js", "import b from \"./b.js\";").imports).toBeUndefined();
+        });
+
+        it ("must not take dynamic imports or comments for module syntax", function () {
+            expect(module("// import a from \"a\";\nimport(\"b\").then(run);\nimport.meta;").imports)
+                .toBeUndefined();
+            expect(module("with (o) {\n    p = {\n        export: 010,\n        import: 1\n    };\n}").imports)
+                .toBeUndefined();
+        });
+
+        it ("must strip module syntax and retain the lines", function () {
+            expect(module("import { a } from \"./a.js\";\nimport {\n    b\n} from \"./b.js\";\n" +
+                "export function c () {}\nexport default class D {}\nexport { a };").stripModuleSyntax())
+                .toBe("\n\n\n\nfunction c () {}\nclass D {}\n");
+        });
+
+        it ("must report module syntax that cannot be converted to a script", function () {
+            expect(function () {
+                module("import * as a from \"./a.js\";").stripModuleSyntax();
+            }).toThrow("Module syntax cannot be converted to a script\n> test.js:1:8");
+            expect(function () {
+                module("var a;\nexport { a as b };").stripModuleSyntax();
+            }).toThrow("Module syntax cannot be converted to a script\n> test.js:2:10");
+            expect(function () {
+                module("import x from \"./foo.js\";\nx();").stripModuleSyntax();
+            }).toThrow("Module syntax cannot be converted to a script\n> test.js:1:8");
+            expect(function () {
+                module("export default 1;").stripModuleSyntax();
+            }).toThrow("Module syntax cannot be converted to a script\n> test.js:1:1");
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+describe("sourcemap module", function () {
+    var SourceMap = require("../src/sourcemap.js");
+
+    it ("must map every line of a source to the generated file", function () {
+        var map = new SourceMap("main.js");
+
+        map.addSource("a.js", "var a;\nvar b;\n");
+        expect(map.toJSON().mappings).toBe("AAAA;AACA;");
+    });
+
+    it ("must map consecutive sources with relative source indices", function () {
+        var map = new SourceMap("main.js");
+
+        map.addSource("a.js", "var a;\n");
+        map.addSource("b.js", "var b;\n");
+        expect(map.toJSON().sources).toBeJSONEquals(["a.js", "b.js"]);
+        expect(map.toJSON().mappings).toBe("AAAA;ACAA;");
+    });
+
+    it ("must account for sources that do not end with a new line", function () {
+        var map = new SourceMap("main.js");
+
+        map.addSource("a.js", "var a;");
+        map.addSource("b.js", "var b;");
+        expect(map.toJSON().mappings).toBe("AAAA,MCAA");
+    });
+
+    it ("must account for content that does not belong to any source", function () {
+        var map = new SourceMap("main.js");
+
+        map.addContent("/* banner */\n");
+        map.addSource("a.js", "var a;");
+        expect(map.toJSON().mappings).toBe(";AAAA");
+    });
+
+    it ("must output valid revision 3 JSON", function () {
+        var json = JSON.parse(new SourceMap("main.js").toString());
+
+        expect(json.version).toBe(3);
+        expect(json.file).toBe("main.js");
+        expect(json.names).toBeJSONEquals([]);
+    });
+});
\ No newline at end of file
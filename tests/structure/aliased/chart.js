@@ -0,0 +1,6 @@
+/**
+ * @module chart
+ * @requires legacy.event
+ * @export chart.js
+ */
+var chart = {};
\ No newline at end of file
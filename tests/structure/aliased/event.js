@@ -0,0 +1,6 @@
+/**
+ * @module fusioncharts.event
+ * @provides legacy.event
+ * @provides event
+ */
+var event = {};
\ No newline at end of file
@@ -0,0 +1,6 @@
+/**
+ * @module widget
+ * @requires event
+ * @requires fusioncharts.event
+ */
+var widget = {};
\ No newline at end of file
@@ -0,0 +1,7 @@
+/**
+ * Logging helpers that are only needed for debug builds.
+ * @module debug
+ * @requires core
+ * @if DEBUG
+ */
+core.debug = function () {};
\ No newline at end of file
@@ -0,0 +1,8 @@
+/**
+ * @module main
+ * @requires core
+ * @requires-if DEBUG debug
+ * @requires-if !NO_REALTIME realtime
+ * @export main.js
+ */
+core.main = {};
\ No newline at end of file
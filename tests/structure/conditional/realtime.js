@@ -0,0 +1,5 @@
+/**
+ * @module realtime
+ * @requires core
+ */
+core.realtime = {};
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * The application is annotated while what it requires are ES modules.
+ * @module app
+ * @export app.js
+ */
+import { format } from "./lib/format.js";
+import "./lib/legacy";
+
+export function app () {
+    return format();
+}
\ No newline at end of file
@@ -0,0 +1,5 @@
+/**
+ * A script that is yet to be migrated, imported by ES modules.
+ * @module base
+ */
+var base = 1;
\ No newline at end of file
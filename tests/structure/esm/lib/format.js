@@ -0,0 +1,6 @@
+import { base } from "./base.js";
+import jquery from "jquery";
+
+export function format () {
+    return base + 1;
+}
\ No newline at end of file
@@ -0,0 +1,2 @@
+// A file without any module definition, imported only for what it does.
+window.legacy = true;
\ No newline at end of file
@@ -0,0 +1,6 @@
+/**
+ * @module widget
+ * @requires ./lib/format.js
+ * @export widget.js
+ */
+var widget = format();
\ No newline at end of file
@@ -0,0 +1,5 @@
+/**
+ * @module chart
+ * @requires core
+ */
+var Chart = Core.extend();
\ No newline at end of file
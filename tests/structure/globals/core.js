@@ -0,0 +1,8 @@
+/**
+ * @module core
+ */
+var Core = {
+    extend: function (proto) {
+        return Object.create(proto || {});
+    }
+};
\ No newline at end of file
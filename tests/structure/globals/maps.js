@@ -0,0 +1,5 @@
+/**
+ * @module maps
+ * @requires chart
+ */
+Chart.maps = Core.extend(Chart);
\ No newline at end of file
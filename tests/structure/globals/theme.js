@@ -0,0 +1,7 @@
+/**
+ * @module theme
+ * @requires core
+ */
+var theme = {
+    chart: Chart
+};
\ No newline at end of file
@@ -0,0 +1,7 @@
+/**
+ * @module app
+ * @requires ./vendor/*.js
+ * @requires ./locales/**
+ * @export app.js
+ */
+var app = {};
\ No newline at end of file
@@ -0,0 +1 @@
+var en = {};
\ No newline at end of file
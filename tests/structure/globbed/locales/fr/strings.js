@@ -0,0 +1 @@
+var fr = {};
\ No newline at end of file
@@ -0,0 +1,7 @@
+/**
+ * @module chart
+ * @requires maps
+ * @requires core
+ * @export chart.js
+ */
+var chart = {};
\ No newline at end of file
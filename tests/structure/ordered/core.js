@@ -0,0 +1,4 @@
+/**
+ * @module core
+ */
+var core = {};
\ No newline at end of file
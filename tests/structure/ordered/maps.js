@@ -0,0 +1,6 @@
+/**
+ * @module maps
+ * @after core
+ * @requires-optional theme
+ */
+core.maps = {};
\ No newline at end of file
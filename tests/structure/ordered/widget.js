@@ -0,0 +1,7 @@
+/**
+ * @module widget
+ * @after core
+ * @requires-optional theme
+ * @export widget.js
+ */
+var widget = {};
\ No newline at end of file
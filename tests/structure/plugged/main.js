@@ -0,0 +1,7 @@
+/**
+ * @module main
+ * @requires util
+ * @category charts
+ * @export main.js
+ */
+var main = {};
\ No newline at end of file
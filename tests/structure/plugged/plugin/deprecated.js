@@ -0,0 +1,13 @@
+module.exports = {
+    directives: {
+        deprecated: function (ns, value, context) {
+            ns.module && (ns.module.deprecated = value + " (" + context.line + ")");
+        }
+    },
+
+    analysers: [function (stat) {
+        stat.deprecatedModules = stat.definedModules.filter(function (module) {
+            return module.deprecated;
+        });
+    }]
+};
\ No newline at end of file
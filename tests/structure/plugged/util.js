@@ -0,0 +1,5 @@
+/**
+ * @module util
+ * @deprecated Use lib instead.
+ */
+var util = {};
\ No newline at end of file
@@ -0,0 +1,6 @@
+/**
+ * @module main
+ * @requires util
+ * @export main.js
+ */
+var main = { version: "__VERSION__", built: "__BUILD_DATE__" };
\ No newline at end of file
@@ -0,0 +1,4 @@
+/**
+ * @module util
+ */
+var util = { debug: __DEBUG_LEVEL__, version: "__VERSION__" };
\ No newline at end of file
@@ -0,0 +1,7 @@
+/**
+ * @module chart
+ * @requires event >=2.0 <3
+ * @requires legacy ^2.0.0
+ * @export chart.js
+ */
+var chart = {};
\ No newline at end of file
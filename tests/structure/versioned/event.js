@@ -0,0 +1,4 @@
+/**
+ * @module event 2.3.0
+ */
+var event = {};
\ No newline at end of file
@@ -0,0 +1,4 @@
+/**
+ * @module legacy 1.5.0
+ */
+var legacy = {};
\ No newline at end of file